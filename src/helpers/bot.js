@@ -8,14 +8,39 @@ const TelegramBot = require('node-telegram-bot-api');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const db = require('./database');
+const providers = require('./providers');
+const { CATEGORIES, compileRulePattern, MAX_RULE_PATTERN_LENGTH, MAX_RULE_WEIGHT, MAX_RULE_REPEAT } = require('./classifier');
+const { ERROR_CATEGORIES } = require('../utils/providerErrors');
+const { createCodeVerifier } = require('../utils/pkce');
+const { getSenderAddress } = require('../utils/emailFingerprint');
 
 let bot = null;
 
+// How long an OAuth connect link stays valid
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Attachment forwarding (Telegram bots can upload up to 50 MB)
+const DEFAULT_ATTACHMENT_MAX_MB = 20;
+const MAX_ATTACHMENT_BUTTONS = 5;
+
+// Folder buttons shown by /folders (watched folders are always shown)
+const MAX_FOLDER_BUTTONS = 40;
+
+// Follow-ups listed when a thread's first alert is edited (Telegram caps messages at 4096 chars)
+const MAX_THREAD_UPDATE_LINES = 5;
+
+// Links listed in a notification; footer links are left out
+const MAX_NOTIFICATION_LINKS = 3;
+
+// Attachments listed in a notification, the rest are counted
+const MAX_NOTIFICATION_ATTACHMENTS = 5;
+const FOOTER_LINK_PATTERN = /unsubscribe|preferences|privacy|view (it )?in (your )?browser|manage (your )?(email|subscription)/i;
+
 // ==================== BOT MESSAGES ====================
 const MESSAGES = {
     WELCOME_NEW: `🎉 *Welcome to Mail Cron Bot!*
 
-I'll help you stay on top of important placement and interview emails from your Gmail and Outlook accounts.
+I'll help you stay on top of important placement and interview emails from your Gmail, Outlook and university (IMAP) accounts.
 
 *How it works:*
 1️⃣ Connect your email accounts
@@ -35,37 +60,20 @@ Let's get started! Which email provider would you like to connect?`,
 
 {action_prompt}`,
 
-    ALL_CONNECTED: `✅ Both Gmail and Outlook are connected. You're all set!
-
-*Commands:*
-/status - Check connection status
-/settings - Manage notifications
-/history - View recent emails
-/help - All commands`,
-
     CHOOSE_PROVIDER: `Which email provider would you like to connect?`,
 
-    GMAIL_INSTRUCTIONS: `📧 *Connect Gmail*
-
-Click the button below to authorize access to your Gmail account.
+    OAUTH_INSTRUCTIONS: `📧 *Connect {provider}*
 
-_Note: We only request read-only access to check for new emails._`,
-
-    OUTLOOK_INSTRUCTIONS: `📧 *Connect Outlook*
-
-Click the button below to authorize access to your Outlook account.
+Click the button below to authorize access to your {provider} account.
 
 _Note: We only request read-only access to check for new emails._`,
 
-    GMAIL_SUCCESS: `✅ *Gmail Connected Successfully!*
-
-Your Gmail account has been linked. I'll now monitor it for important emails.
+    INVALID_CREDENTIALS: `⚠️ I couldn't read that. Please send:
+{format}`,
 
-📧 Email: {email}`,
-
-    OUTLOOK_SUCCESS: `✅ *Outlook Connected Successfully!*
+    CONNECT_SUCCESS: `✅ *{provider} Connected Successfully!*
 
-Your Outlook account has been linked. I'll now monitor it for important emails.
+Your {provider} account has been linked. I'll now monitor it for important emails.
 
 📧 Email: {email}`,
 
@@ -85,10 +93,6 @@ Your email monitoring is now active. I'll notify you when important placement or
 
     ADD_ANOTHER: `Would you like to connect another email provider?`,
 
-    ALREADY_CONNECTED: `⚠️ Your {provider} account is already connected.
-
-Would you like to reconnect it with a different account?`,
-
     CONNECTION_FAILED: `❌ *Connection Failed*
 
 Something went wrong while connecting your {provider} account.
@@ -121,6 +125,9 @@ Please try again with /add command.`,
 
 *Settings*
 /settings - Manage notification preferences
+/folders - Choose which folders/labels to watch
+/rules - Teach me your own keywords
+/senders - Always alert or never alert for a sender
 /pause - Pause notifications
 /resume - Resume notifications
 
@@ -131,6 +138,29 @@ Please try again with /add command.`,
 
 Use /start to begin setup.`,
 
+    CHOOSE_REMOVE: `Which email account would you like to disconnect?`,
+
+    CONFIRM_REMOVE: `⚠️ *Disconnect {account}?*
+
+I'll stop checking this mailbox and delete its stored credentials.`,
+
+    REMOVED: `✅ *{account}* has been disconnected.`,
+
+    REMOVED_MANUAL_REVOKE: `You can also remove Mail Cron's access from your account settings:
+{urls}`,
+
+    RECONNECT_REQUIRED: `🔑 *Reconnect {account}*
+
+Access to this mailbox was revoked or has expired, so I've stopped checking it.
+
+Tap the button below to connect it again. Nothing else is affected.`,
+
+    SETTINGS: `⚙️ *Notification Settings*
+
+Tap a button to turn it on or off. The top switch pauses all notifications; the others choose which categories alert you.
+
+The last button chooses how new replies in a thread you were already alerted about arrive: as a reply to the first alert, or added to it without a new notification.`,
+
     NOTIFICATIONS_PAUSED: `⏸️ Notifications have been paused.
 
 Use /resume to re-enable notifications.`,
@@ -139,80 +169,235 @@ Use /resume to re-enable notifications.`,
 
 You'll now receive alerts for important emails.`,
 
+    CHOOSE_FOLDERS_MAILBOX: `Which email account's folders would you like to change?`,
+
+    FOLDERS: `📁 *Folders for {account}*
+
+Tap folders to watch them, then Save. With none ticked I watch the default ({default}).
+
+The Spam switch chooses whether spam/junk is scanned too.`,
+
+    FOLDERS_SAVED: `✅ *{account}* now watches:
+{folders}`,
+
+    FOLDERS_UNSUPPORTED: `⚠️ Folder selection isn't available for this account.`,
+
+    FOLDERS_FAILED: `❌ Couldn't load the folder list for *{account}*. Please try again later.`,
+
+    FOLDERS_EXPIRED: `⌛ That folder list has expired. Use /folders to open it again.`,
+
+    RULES: `🧩 *Your Keyword Rules*
+
+{rules}
+
+*Add:* \`/rules add <category> <+weight|-weight> <phrase or /regex/>\`
+*Delete:* \`/rules delete <number>\`
+
+Categories: placement, interview, assessment, shortlisted, or \`any\` for negative rules. Weights go from 1 to {maxWeight}; built-in keywords score 1-3.
+
+Regexes can't use \`+\` or \`*\`; repeat with \`?\` or \`{0,{maxRepeat}}\` instead.
+
+Examples:
+\`/rules add placement +3 internship\`
+\`/rules add interview +2 /slot (confirmed|booked)/\`
+\`/rules add any -4 webinar\``,
+
+    RULE_ADDED: `✅ Rule added: {rule}`,
+
+    RULE_DELETED: `🗑️ Rule deleted: {rule}`,
+
+    RULE_INVALID: `⚠️ I couldn't read that rule. {reason}
+
+Send /rules to see the format.`,
+
+    RULE_LIMIT: `⚠️ You've reached the rule limit. Delete a rule with \`/rules delete <number>\` first.`,
+
+    SENDERS: `👥 *Your Sender Rules*
+
+{rules}
+
+*Always alert:* \`/senders trust <sender> <category>\`
+*Never alert:* \`/senders mute <sender>\`
+*Delete:* \`/senders delete <number>\`
+
+A sender is an address (\`tpo@college.edu\`), a domain (\`@unstop.com\`, subdomains included) or part of the display name in quotes (\`"Placement Cell"\`). Sender rules decide before keywords and AI.
+
+You can also tap 🔇 *Mute sender* or ⭐ *Trust sender* under any alert.`,
+
+    SENDER_ADDED: `✅ Sender rule saved: {rule}
+
+Use /senders to undo it.`,
+
+    SENDER_DELETED: `🗑️ Sender rule deleted: {rule}`,
+
+    SENDER_INVALID: `⚠️ I couldn't read that sender rule. {reason}
+
+Send /senders to see the format.`,
+
+    SENDER_LIMIT: `⚠️ You've reached the sender rule limit. Delete one with \`/senders delete <number>\` first.`,
+
+    SENDER_UNAVAILABLE: `⚠️ I couldn't find that email's sender address.`,
+
+    FEEDBACK_UNAVAILABLE: `⚠️ That alert is no longer available.`,
+
+    ATTACHMENT_UNAVAILABLE: `⚠️ That attachment is no longer available.`,
+
+    ATTACHMENT_TOO_LARGE: `⚠️ *{name}* is {size}, over the {limit} limit. Open the email to download it.`,
+
+    ATTACHMENT_FAILED: `❌ Couldn't download *{name}* from your mailbox. Please try again later.`,
+
     ERROR: `❌ An error occurred. Please try again later.`
 };
 
 // ==================== KEYBOARD LAYOUTS ====================
+
+/**
+ * Split buttons into rows
+ * @param {Array} buttons - Inline keyboard buttons
+ * @param {number} perRow - Buttons per row
+ * @returns {Array<Array>} Keyboard rows
+ */
+function toRows(buttons, perRow = 2) {
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += perRow) {
+        rows.push(buttons.slice(i, i + perRow));
+    }
+    return rows;
+}
+
 const KEYBOARDS = {
     PROVIDER_CHOICE: {
-        inline_keyboard: [
-            [
-                { text: '📧 Gmail', callback_data: 'connect_gmail' },
-                { text: '📧 Outlook', callback_data: 'connect_outlook' }
-            ]
-        ]
+        inline_keyboard: toRows(providers.listProviders().map(adapter => (
+            { text: `${adapter.icon} ${adapter.displayName}`, callback_data: `connect_${adapter.id}` }
+        )))
     },
 
     ADD_ANOTHER: {
         inline_keyboard: [
-            [
-                { text: '➕ Add Gmail', callback_data: 'connect_gmail' },
-                { text: '➕ Add Outlook', callback_data: 'connect_outlook' }
-            ],
+            ...toRows(providers.listProviders().map(adapter => (
+                { text: `➕ Add ${adapter.displayName}`, callback_data: `connect_${adapter.id}` }
+            ))),
             [
                 { text: '✅ Done', callback_data: 'setup_done' }
             ]
         ]
-    },
-
-    RECONNECT: (provider) => ({
-        inline_keyboard: [
-            [
-                { text: '🔄 Reconnect', callback_data: `reconnect_${provider}` },
-                { text: '❌ Cancel', callback_data: 'cancel' }
-            ]
-        ]
-    })
+    }
 };
 
 /**
- * Build dynamic keyboard based on user's connected providers
+ * Build dynamic keyboard based on user's connected mailboxes
+ * Connecting an account that is already linked refreshes its credentials
  * @param {Object} user - User document
  * @returns {Object} Inline keyboard
  */
 function buildProviderKeyboard(user) {
-    const gmailConnected = user?.providers?.gmail?.enabled;
-    const outlookConnected = user?.providers?.outlook?.enabled;
+    const hasMailboxes = (user?.mailboxes || []).length > 0;
 
-    const buttons = [];
+    const buttons = providers.listProviders().map(adapter => ({
+        text: `${adapter.icon} ${hasMailboxes ? 'Add' : 'Connect'} ${adapter.displayName}`,
+        callback_data: `connect_${adapter.id}`
+    }));
 
-    // Row for unconnected providers
-    const connectRow = [];
-    if (!gmailConnected) {
-        connectRow.push({ text: '📧 Connect Gmail', callback_data: 'connect_gmail' });
-    }
-    if (!outlookConnected) {
-        connectRow.push({ text: '📧 Connect Outlook', callback_data: 'connect_outlook' });
-    }
-    if (connectRow.length > 0) {
-        buttons.push(connectRow);
-    }
+    return { inline_keyboard: toRows(buttons) };
+}
 
-    // Row for reconnecting existing providers
-    const reconnectRow = [];
-    if (gmailConnected) {
-        reconnectRow.push({ text: '🔄 Reconnect Gmail', callback_data: 'reconnect_gmail' });
-    }
-    if (outlookConnected) {
-        reconnectRow.push({ text: '🔄 Reconnect Outlook', callback_data: 'reconnect_outlook' });
-    }
-    if (reconnectRow.length > 0) {
-        buttons.push(reconnectRow);
+// Short /status descriptions of stored error categories
+const ERROR_LABELS = {
+    [ERROR_CATEGORIES.AUTH_REVOKED]: 'access revoked, reconnect needed',
+    [ERROR_CATEGORIES.RATE_LIMITED]: 'rate limited, retrying',
+    [ERROR_CATEGORIES.NETWORK]: 'network error, retrying',
+    [ERROR_CATEGORIES.UNKNOWN]: 'last check failed'
+};
+
+// Categories users can mute from /settings
+const TOGGLEABLE_CATEGORIES = Object.values(CATEGORIES).filter(category => category !== CATEGORIES.OTHER);
+
+/**
+ * Build /settings toggle keyboard from current settings
+ * @param {Object} settings - User settings
+ * @returns {Object} Inline keyboard
+ */
+function buildSettingsKeyboard(settings) {
+    const notificationsOn = settings?.notificationsEnabled !== false;
+
+    const buttons = [
+        [{
+            text: `${notificationsOn ? '🔔' : '🔕'} Notifications: ${notificationsOn ? 'On' : 'Off'}`,
+            callback_data: 'settings_toggle_all'
+        }]
+    ];
+
+    for (const category of TOGGLEABLE_CATEGORIES) {
+        const enabled = settings?.categories?.[category] !== false;
+        buttons.push([{
+            text: `${enabled ? '✅' : '❌'} ${getCategoryEmoji(category)} ${category.replace(/_/g, ' ')}`,
+            callback_data: `settings_toggle_${category}`
+        }]);
     }
 
+    const editThreads = settings?.threadUpdates === 'edit';
+    buttons.push([{
+        text: `🔁 Thread follow-ups: ${editThreads ? 'Update first alert' : 'Reply to first alert'}`,
+        callback_data: 'settings_toggle_threads'
+    }]);
+
+    return { inline_keyboard: buttons };
+}
+
+/**
+ * Build /folders picker keyboard from the selection in progress
+ * @param {Object} picker - Session folderPicker ({ folders, watched, includeSpam })
+ * @returns {Object} Inline keyboard
+ */
+function buildFolderKeyboard(picker) {
+    const buttons = picker.folders.map((folder, index) => ([{
+        text: `${picker.watched.includes(folder.id) ? '✅' : '⬜'} ${truncate(folder.name, 40)}`,
+        callback_data: `folders_toggle_${index}`
+    }]));
+
+    buttons.push([{
+        text: `${picker.includeSpam ? '✅' : '❌'} ⚠️ Spam/Junk: ${picker.includeSpam ? 'On' : 'Off'}`,
+        callback_data: 'folders_spam'
+    }]);
+    buttons.push([
+        { text: '↩️ Default', callback_data: 'folders_default' },
+        { text: '💾 Save', callback_data: 'folders_save' }
+    ]);
+
     return { inline_keyboard: buttons };
 }
 
+/**
+ * Human readable label for a mailbox
+ * @param {Object} mailbox - Mailbox sub-document
+ * @returns {string} e.g. "Gmail (me@gmail.com)"
+ */
+function mailboxLabel(mailbox) {
+    const name = providers.getDisplayName(mailbox.provider);
+    return mailbox.address ? `${name} (${mailbox.address})` : name;
+}
+
+/**
+ * Build one status line per connected mailbox
+ * @param {Object} user - User document
+ * @returns {Array<string>} Status lines
+ */
+function buildAccountLines(user) {
+    return (user?.mailboxes || []).map(mailbox => {
+        const name = providers.getDisplayName(mailbox.provider);
+        const address = escapeMarkdown(mailbox.address) || 'Connected';
+
+        const errorLabel = ERROR_LABELS[mailbox.lastErrorCategory] || ERROR_LABELS[ERROR_CATEGORIES.UNKNOWN];
+
+        if (!mailbox.enabled && mailbox.lastErrorCategory === ERROR_CATEGORIES.AUTH_REVOKED) {
+            return `🔑 ${name}: ${address} (${errorLabel})`;
+        }
+        if (!mailbox.enabled) return `⏸️ ${name}: ${address} (disabled)`;
+        if (mailbox.lastError) return `⚠️ ${name}: ${address} (${errorLabel})`;
+        return `✅ ${name}: ${address}`;
+    });
+}
+
 /**
  * Initialize Telegram bot in webhook mode
  * @returns {TelegramBot} Bot instance
@@ -282,16 +467,38 @@ async function handleMessage(msg) {
         await handleStatus(msg);
     } else if (text.startsWith('/add')) {
         await handleAdd(msg);
+    } else if (text.startsWith('/remove')) {
+        await handleRemove(msg);
     } else if (text.startsWith('/settings')) {
         await handleSettings(msg);
+    } else if (text.startsWith('/folders')) {
+        await handleFolders(msg);
+    } else if (text.startsWith('/rules')) {
+        await handleRules(msg);
+    } else if (text.startsWith('/senders')) {
+        await handleSenders(msg);
     } else if (text.startsWith('/pause')) {
         await handlePause(msg);
     } else if (text.startsWith('/resume')) {
         await handleResume(msg);
     } else if (text.startsWith('/history')) {
         await handleHistory(msg);
+    } else if (!text.startsWith('/')) {
+        await handleConversationReply(msg);
+    }
+}
+
+/**
+ * Handle non-command messages that answer a pending prompt
+ * Everything else is ignored
+ */
+async function handleConversationReply(msg) {
+    const chatId = msg.chat.id;
+    const session = await db.getOrCreateSession(chatId.toString());
+
+    if (session.state === 'AWAITING_CREDENTIALS') {
+        await handleCredentialsReply(msg, session.pendingProvider);
     }
-    // Ignore non-command messages
 }
 
 // ==================== COMMAND HANDLERS ====================
@@ -323,38 +530,16 @@ async function handleStart(msg) {
         }
 
         // Existing user - check what's connected
-        const gmailConnected = user.providers?.gmail?.enabled;
-        const outlookConnected = user.providers?.outlook?.enabled;
-
-        // Build accounts status
-        const accounts = [];
-        if (gmailConnected) {
-            accounts.push(`✅ Gmail: ${user.providers.gmail.email || 'Connected'}`);
-        } else {
-            accounts.push('❌ Gmail: Not connected');
-        }
-        if (outlookConnected) {
-            accounts.push(`✅ Outlook: ${user.providers.outlook.email || 'Connected'}`);
-        } else {
-            accounts.push('❌ Outlook: Not connected');
-        }
+        const accounts = buildAccountLines(user);
 
         // Determine action prompt
-        let actionPrompt = '';
-        if (gmailConnected && outlookConnected) {
-            // Both connected
-            actionPrompt = 'You can reconnect accounts if needed, or use /help for commands.';
-        } else if (!gmailConnected && !outlookConnected) {
-            // None connected
-            actionPrompt = 'Connect an email account to get started:';
-        } else {
-            // One connected
-            actionPrompt = 'Connect another account or manage existing ones:';
-        }
+        const actionPrompt = accounts.length === 0
+            ? 'Connect an email account to get started:'
+            : 'Connect another account or manage existing ones:';
 
         const welcomeMessage = MESSAGES.WELCOME_BACK
             .replace('{name}', user.firstName || 'User')
-            .replace('{accounts}', accounts.join('\n'))
+            .replace('{accounts}', accounts.join('\n') || '❌ No accounts connected')
             .replace('{action_prompt}', actionPrompt);
 
         // Build dynamic keyboard
@@ -396,34 +581,19 @@ async function handleStatus(msg) {
         }
 
         // Build accounts status
-        const accounts = [];
-        if (user.providers.gmail.enabled) {
-            accounts.push(`✅ Gmail: ${user.providers.gmail.email || 'Connected'}`);
-        } else {
-            accounts.push('❌ Gmail: Not connected');
-        }
-
-        if (user.providers.outlook.enabled) {
-            accounts.push(`✅ Outlook: ${user.providers.outlook.email || 'Connected'}`);
-        } else {
-            accounts.push('❌ Outlook: Not connected');
-        }
+        const accounts = buildAccountLines(user);
 
         // Get email stats
         const emails = await db.getUserEmails(chatId.toString(), { limit: 1000 });
         const importantEmails = emails.filter(e => e.classification.important);
 
         // Build last check info
-        const lastChecks = [];
-        if (user.lastChecked.gmail) {
-            lastChecks.push(`Gmail: ${formatTimeAgo(user.lastChecked.gmail)}`);
-        }
-        if (user.lastChecked.outlook) {
-            lastChecks.push(`Outlook: ${formatTimeAgo(user.lastChecked.outlook)}`);
-        }
+        const lastChecks = (user.mailboxes || [])
+            .filter(mailbox => mailbox.lastChecked)
+            .map(mailbox => `${escapeMarkdown(mailboxLabel(mailbox))}: ${formatTimeAgo(mailbox.lastChecked)}`);
 
         const statusMessage = MESSAGES.STATUS
-            .replace('{accounts}', accounts.join('\n'))
+            .replace('{accounts}', accounts.join('\n') || '❌ No accounts connected')
             .replace('{lastCheck}', lastChecks.join('\n') || 'Never')
             .replace('{emailCount}', emails.length.toString())
             .replace('{importantCount}', importantEmails.length.toString());
@@ -460,221 +630,620 @@ async function handleAdd(msg) {
 }
 
 /**
- * Handle /settings command
+ * Handle /remove command
  */
-async function handleSettings(msg) {
+async function handleRemove(msg) {
     const chatId = msg.chat.id;
     const botInstance = getBot();
 
     try {
         const user = await db.getUserByChatId(chatId.toString());
 
-        if (!user) {
+        if (!user || (user.mailboxes || []).length === 0) {
             await botInstance.sendMessage(chatId, MESSAGES.NO_ACCOUNTS);
             return;
         }
 
-        const settings = user.settings;
-        const statusEmoji = settings.notificationsEnabled ? '✅' : '❌';
+        const buttons = user.mailboxes.map(mailbox => ([
+            { text: `🗑️ ${mailboxLabel(mailbox)}`, callback_data: `remove_${mailbox._id}` }
+        ]));
+        buttons.push([{ text: '❌ Cancel', callback_data: 'cancel' }]);
 
-        const categories = Object.entries(settings.categories)
-            .map(([cat, enabled]) => `${enabled ? '✅' : '❌'} ${cat.replace(/_/g, ' ')}`)
-            .join('\n');
-
-        const message = `⚙️ *Notification Settings*
-
-*Status:* ${statusEmoji} ${settings.notificationsEnabled ? 'Enabled' : 'Disabled'}
-
-*Categories:*
-${categories}
-
-Use /pause or /resume to toggle notifications.`;
-
-        await botInstance.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        await botInstance.sendMessage(chatId, MESSAGES.CHOOSE_REMOVE, {
+            reply_markup: { inline_keyboard: buttons }
+        });
     } catch (error) {
-        logger.error('Error in /settings handler', { error: error.message, chatId });
+        logger.error('Error in /remove handler', { error: error.message, chatId });
         await botInstance.sendMessage(chatId, MESSAGES.ERROR);
     }
 }
 
 /**
- * Handle /pause command
+ * Handle /settings command
  */
-async function handlePause(msg) {
+async function handleSettings(msg) {
     const chatId = msg.chat.id;
     const botInstance = getBot();
 
     try {
-        const { User } = require('../models');
-        await User.updateOne(
-            { telegramChatId: chatId.toString() },
-            { $set: { 'settings.notificationsEnabled': false } }
-        );
+        const user = await db.getUserByChatId(chatId.toString());
 
-        await botInstance.sendMessage(chatId, MESSAGES.NOTIFICATIONS_PAUSED, { parse_mode: 'Markdown' });
+        if (!user) {
+            await botInstance.sendMessage(chatId, MESSAGES.NO_ACCOUNTS);
+            return;
+        }
+
+        await botInstance.sendMessage(chatId, MESSAGES.SETTINGS, {
+            parse_mode: 'Markdown',
+            reply_markup: buildSettingsKeyboard(user.settings)
+        });
     } catch (error) {
-        logger.error('Error in /pause handler', { error: error.message, chatId });
+        logger.error('Error in /settings handler', { error: error.message, chatId });
         await botInstance.sendMessage(chatId, MESSAGES.ERROR);
     }
 }
 
 /**
- * Handle /resume command
+ * Handle /folders command
  */
-async function handleResume(msg) {
+async function handleFolders(msg) {
     const chatId = msg.chat.id;
     const botInstance = getBot();
 
     try {
-        const { User } = require('../models');
-        await User.updateOne(
-            { telegramChatId: chatId.toString() },
-            { $set: { 'settings.notificationsEnabled': true } }
-        );
+        const user = await db.getUserByChatId(chatId.toString());
 
-        await botInstance.sendMessage(chatId, MESSAGES.NOTIFICATIONS_RESUMED, { parse_mode: 'Markdown' });
+        if (!user || (user.mailboxes || []).length === 0) {
+            await botInstance.sendMessage(chatId, MESSAGES.NO_ACCOUNTS);
+            return;
+        }
+
+        if (user.mailboxes.length === 1) {
+            await openFolderPicker(chatId, user.mailboxes[0]._id.toString());
+            return;
+        }
+
+        const buttons = user.mailboxes.map(mailbox => ([
+            { text: `📁 ${mailboxLabel(mailbox)}`, callback_data: `folders_pick_${mailbox._id}` }
+        ]));
+        buttons.push([{ text: '❌ Cancel', callback_data: 'cancel' }]);
+
+        await botInstance.sendMessage(chatId, MESSAGES.CHOOSE_FOLDERS_MAILBOX, {
+            reply_markup: { inline_keyboard: buttons }
+        });
     } catch (error) {
-        logger.error('Error in /resume handler', { error: error.message, chatId });
+        logger.error('Error in /folders handler', { error: error.message, chatId });
         await botInstance.sendMessage(chatId, MESSAGES.ERROR);
     }
 }
 
 /**
- * Handle /history command
+ * Handle /rules command (list, add, delete)
  */
-async function handleHistory(msg) {
+async function handleRules(msg) {
     const chatId = msg.chat.id;
     const botInstance = getBot();
 
     try {
-        const emails = await db.getUserEmails(chatId.toString(), {
-            important: true,
-            limit: 10
-        });
+        const user = await db.findOrCreateUser(msg.from);
+        const [, action = 'list', ...args] = (msg.text || '').trim().split(/\s+/);
+
+        if (action === 'add') {
+            const parsed = parseKeywordRule(args.join(' '));
+            if (parsed.error) {
+                await botInstance.sendMessage(chatId, MESSAGES.RULE_INVALID.replace('{reason}', parsed.error), { parse_mode: 'Markdown' });
+                return;
+            }
 
-        if (emails.length === 0) {
-            await botInstance.sendMessage(chatId, '📭 No important emails found yet.');
+            const updated = await db.addKeywordRule(chatId.toString(), parsed.rule);
+            const message = updated
+                ? MESSAGES.RULE_ADDED.replace('{rule}', formatKeywordRule(parsed.rule))
+                : MESSAGES.RULE_LIMIT;
+
+            await botInstance.sendMessage(chatId, message, { parse_mode: 'Markdown' });
             return;
         }
 
-        let message = '📧 *Recent Important Emails*\n\n';
-
-        for (const email of emails) {
-            const emoji = getCategoryEmoji(email.classification.category);
-            const date = formatTimeAgo(email.receivedAt);
+        if (['delete', 'del', 'remove'].includes(action)) {
+            const rule = user.keywordRules[parseInt(args[0], 10) - 1];
+            if (!rule) {
+                await botInstance.sendMessage(chatId, MESSAGES.RULE_INVALID.replace('{reason}', 'There is no rule with that number.'), { parse_mode: 'Markdown' });
+                return;
+            }
 
-            message += `${emoji} *${email.classification.category.replace(/_/g, ' ')}*\n`;
-            message += `📌 ${escapeMarkdown(truncate(email.subject, 50))}\n`;
-            message += `👤 ${escapeMarkdown(truncate(email.from, 30))}\n`;
-            message += `🕐 ${date}\n\n`;
+            await db.removeKeywordRule(chatId.toString(), rule._id);
+            await botInstance.sendMessage(chatId, MESSAGES.RULE_DELETED.replace('{rule}', formatKeywordRule(rule)), { parse_mode: 'Markdown' });
+            return;
         }
 
+        const lines = user.keywordRules.map((rule, index) => `${index + 1}. ${formatKeywordRule(rule)}`);
+
+        const message = MESSAGES.RULES
+            .replace('{rules}', lines.join('\n') || '_No rules yet._')
+            .replace('{maxWeight}', MAX_RULE_WEIGHT.toString())
+            .replace('{maxRepeat}', MAX_RULE_REPEAT.toString());
+
         await botInstance.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     } catch (error) {
-        logger.error('Error in /history handler', { error: error.message, chatId });
+        logger.error('Error in /rules handler', { error: error.message, chatId });
         await botInstance.sendMessage(chatId, MESSAGES.ERROR);
     }
 }
 
-// ==================== CALLBACK HANDLERS ====================
-
 /**
- * Handle inline button callbacks
+ * Parse "<category> <+weight|-weight> <phrase or /regex/>" from /rules add
+ * @param {string} text - Arguments after "add"
+ * @returns {Object} { rule } or { error }
  */
-async function handleCallbackQuery(query) {
-    const chatId = query.message.chat.id;
-    const data = query.data;
-    const botInstance = getBot();
-
-    try {
-        // Acknowledge callback
-        await botInstance.answerCallbackQuery(query.id);
+function parseKeywordRule(text) {
+    const match = (text || '').match(/^(\S+)\s+([+-]?)(\d+)\s+(.+)$/);
+    if (!match) {
+        return { error: 'Expected a category, a weight and a phrase.' };
+    }
 
-        switch (data) {
-            case 'connect_gmail':
-                await initiateOAuth(chatId, 'gmail');
-                break;
+    const [, categoryToken, sign, weightText, patternText] = match;
+    const negative = sign === '-';
+    const weight = parseInt(weightText, 10);
 
-            case 'connect_outlook':
-                await initiateOAuth(chatId, 'outlook');
-                break;
+    if (weight < 1 || weight > MAX_RULE_WEIGHT) {
+        return { error: `Weight must be between 1 and ${MAX_RULE_WEIGHT}.` };
+    }
 
-            case 'reconnect_gmail':
-                await initiateOAuth(chatId, 'gmail', true);
-                break;
+    let category = null;
+    if (categoryToken.toLowerCase() !== 'any') {
+        category = resolveCategory(categoryToken);
+        if (!category) {
+            return { error: `Unknown category "${escapeMarkdown(categoryToken)}".` };
+        }
+    } else if (!negative) {
+        return { error: '"any" only works for negative rules.' };
+    }
 
-            case 'reconnect_outlook':
-                await initiateOAuth(chatId, 'outlook', true);
-                break;
+    const regexMatch = patternText.trim().match(/^\/(.+)\/$/);
+    const rule = {
+        pattern: regexMatch ? regexMatch[1] : patternText.trim().toLowerCase(),
+        isRegex: !!regexMatch,
+        category,
+        weight,
+        negative
+    };
 
-            case 'setup_done':
-                await handleSetupComplete(chatId);
-                break;
+    if (rule.pattern.length > MAX_RULE_PATTERN_LENGTH) {
+        return { error: `Keep patterns under ${MAX_RULE_PATTERN_LENGTH} characters.` };
+    }
+    if (!compileRulePattern(rule)) {
+        return { error: `That regex is invalid or too open-ended. Use \`?\` or \`{0,${MAX_RULE_REPEAT}}\` instead of \`+\` and \`*\`.` };
+    }
 
-            case 'cancel':
-                await botInstance.sendMessage(chatId, '👍 Cancelled.');
-                break;
+    return { rule };
+}
 
-            default:
-                logger.warn('Unknown callback data', { data, chatId });
-        }
-    } catch (error) {
-        logger.error('Error in callback handler', { error: error.message, data, chatId });
-        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
-    }
+/**
+ * Resolve a category name typed by the user ("placement", "interview", ...)
+ * @param {string} token - Typed name or prefix
+ * @returns {string|null} Category, or null if none matches
+ */
+function resolveCategory(token) {
+    const normalized = token.toUpperCase().replace(/[\s-]/g, '_');
+    return TOGGLEABLE_CATEGORIES.find(category => category.startsWith(normalized)) || null;
 }
 
-// ==================== OAUTH FLOW ====================
+/**
+ * Describe a keyword rule for /rules
+ * @param {Object} rule - Keyword rule
+ * @returns {string} Markdown
+ */
+function formatKeywordRule(rule) {
+    const target = rule.category ? `${getCategoryEmoji(rule.category)} ${rule.category.replace(/_/g, ' ')}` : 'any category';
+    const pattern = rule.isRegex ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+    return `${rule.negative ? '➖' : '➕'} ${escapeMarkdown(pattern)} → ${target} (${rule.negative ? '-' : '+'}${rule.weight})`;
+}
 
 /**
- * Initiate OAuth flow for a provider
+ * Handle /senders command (list, trust, mute, delete)
  */
-async function initiateOAuth(chatId, provider, reconnect = false) {
+async function handleSenders(msg) {
+    const chatId = msg.chat.id;
     const botInstance = getBot();
 
     try {
-        const user = await db.getUserByChatId(chatId.toString());
+        const user = await db.findOrCreateUser(msg.from);
+        const [, action = 'list', ...args] = (msg.text || '').trim().split(/\s+/);
+
+        if (action === 'trust' || action === 'mute') {
+            const parsed = parseSenderRule(action, args);
+            if (parsed.error) {
+                await botInstance.sendMessage(chatId, MESSAGES.SENDER_INVALID.replace('{reason}', parsed.error), { parse_mode: 'Markdown' });
+                return;
+            }
 
-        // Check if already connected
-        if (!reconnect && user?.providers?.[provider]?.enabled) {
-            const message = MESSAGES.ALREADY_CONNECTED.replace('{provider}', provider);
-            await botInstance.sendMessage(chatId, message, {
-                parse_mode: 'Markdown',
-                reply_markup: KEYBOARDS.RECONNECT(provider)
-            });
+            await saveSenderRule(chatId, parsed.rule);
             return;
         }
 
-        // Generate OAuth state for security
-        const oauthState = crypto.randomBytes(16).toString('hex');
+        if (['delete', 'del', 'remove'].includes(action)) {
+            const rule = user.senderRules[parseInt(args[0], 10) - 1];
+            if (!rule) {
+                await botInstance.sendMessage(chatId, MESSAGES.SENDER_INVALID.replace('{reason}', 'There is no sender rule with that number.'), { parse_mode: 'Markdown' });
+                return;
+            }
 
-        // Save state to session
-        await db.updateSession(chatId.toString(), {
-            state: provider === 'gmail' ? 'AWAITING_GMAIL_AUTH' : 'AWAITING_OUTLOOK_AUTH',
-            pendingProvider: provider,
-            oauthState: oauthState
+            await db.removeSenderRule(chatId.toString(), rule._id);
+            await botInstance.sendMessage(chatId, MESSAGES.SENDER_DELETED.replace('{rule}', formatSenderRule(rule)), { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const lines = user.senderRules.map((rule, index) => `${index + 1}. ${formatSenderRule(rule)}`);
+
+        await botInstance.sendMessage(chatId, MESSAGES.SENDERS.replace('{rules}', lines.join('\n') || '_No sender rules yet._'), { parse_mode: 'Markdown' });
+    } catch (error) {
+        logger.error('Error in /senders handler', { error: error.message, chatId });
+        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
+    }
+}
+
+/**
+ * Parse the arguments of /senders trust|mute
+ * Trust takes the category as its last word: "/senders trust tpo@college.edu placement"
+ * @param {string} action - 'trust' or 'mute'
+ * @param {Array<string>} args - Words after the action
+ * @returns {Object} { rule } or { error }
+ */
+function parseSenderRule(action, args) {
+    let category = null;
+
+    if (action === 'trust') {
+        category = args.length > 1 ? resolveCategory(args[args.length - 1]) : null;
+        if (!category) {
+            return { error: 'Add the category to alert as, e.g. \`placement\` or \`interview\`.' };
+        }
+        args = args.slice(0, -1);
+    }
+
+    const sender = args.join(' ').trim();
+    const quoted = sender.match(/^["“](.+)["”]$/);
+    let matchType;
+    let pattern;
+
+    if (quoted) {
+        matchType = 'name';
+        pattern = quoted[1].trim();
+    } else if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sender)) {
+        matchType = 'address';
+        pattern = sender;
+    } else if (/^@?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(sender)) {
+        matchType = 'domain';
+        pattern = sender.replace(/^@/, '');
+    } else {
+        return { error: 'Give an address, an @domain, or a display name in quotes.' };
+    }
+
+    if (pattern.length < 3 || pattern.length > MAX_RULE_PATTERN_LENGTH) {
+        return { error: `Senders must be 3 to ${MAX_RULE_PATTERN_LENGTH} characters.` };
+    }
+
+    return {
+        rule: {
+            matchType,
+            pattern: pattern.toLowerCase(),
+            action: action === 'trust' ? 'important' : 'ignore',
+            category
+        }
+    };
+}
+
+/**
+ * Save a sender rule and confirm it to the user
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} rule - { matchType, pattern, action, category }
+ */
+async function saveSenderRule(chatId, rule) {
+    const updated = await db.addSenderRule(chatId.toString(), rule);
+    const message = updated
+        ? MESSAGES.SENDER_ADDED.replace('{rule}', formatSenderRule(rule))
+        : MESSAGES.SENDER_LIMIT;
+
+    await getBot().sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Describe a sender rule for /senders
+ * @param {Object} rule - Sender rule
+ * @returns {string} Markdown
+ */
+function formatSenderRule(rule) {
+    const sender = {
+        address: rule.pattern,
+        domain: `@${rule.pattern}`,
+        name: `"${rule.pattern}"`
+    }[rule.matchType];
+
+    const outcome = rule.action === 'ignore'
+        ? 'never alert'
+        : `always alert as ${getCategoryEmoji(rule.category)} ${rule.category.replace(/_/g, ' ')}`;
+
+    return `${rule.action === 'ignore' ? '🔇' : '⭐'} ${escapeMarkdown(sender)} → ${outcome}`;
+}
+
+/**
+ * Handle /pause command
+ */
+async function handlePause(msg) {
+    const chatId = msg.chat.id;
+    const botInstance = getBot();
+
+    try {
+        const { User } = require('../models');
+        await User.updateOne(
+            { telegramChatId: chatId.toString() },
+            { $set: { 'settings.notificationsEnabled': false } }
+        );
+
+        await botInstance.sendMessage(chatId, MESSAGES.NOTIFICATIONS_PAUSED, { parse_mode: 'Markdown' });
+    } catch (error) {
+        logger.error('Error in /pause handler', { error: error.message, chatId });
+        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
+    }
+}
+
+/**
+ * Handle /resume command
+ */
+async function handleResume(msg) {
+    const chatId = msg.chat.id;
+    const botInstance = getBot();
+
+    try {
+        const { User } = require('../models');
+        await User.updateOne(
+            { telegramChatId: chatId.toString() },
+            { $set: { 'settings.notificationsEnabled': true } }
+        );
+
+        await botInstance.sendMessage(chatId, MESSAGES.NOTIFICATIONS_RESUMED, { parse_mode: 'Markdown' });
+    } catch (error) {
+        logger.error('Error in /resume handler', { error: error.message, chatId });
+        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
+    }
+}
+
+/**
+ * Handle /history command
+ */
+async function handleHistory(msg) {
+    const chatId = msg.chat.id;
+    const botInstance = getBot();
+
+    try {
+        const emails = await db.getUserEmails(chatId.toString(), {
+            important: true,
+            limit: 10
         });
 
-        // Generate auth URL
-        const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-        const authUrl = `${baseUrl}/oauth/${provider}/start?state=${oauthState}`;
+        if (emails.length === 0) {
+            await botInstance.sendMessage(chatId, '📭 No important emails found yet.');
+            return;
+        }
 
-        const message = provider === 'gmail' ? MESSAGES.GMAIL_INSTRUCTIONS : MESSAGES.OUTLOOK_INSTRUCTIONS;
+        let message = '📧 *Recent Important Emails*\n\n';
 
-        await botInstance.sendMessage(chatId, message, {
-            parse_mode: 'Markdown',
-            reply_markup: {
-                inline_keyboard: [
-                    [{ text: `🔐 Authorize ${provider === 'gmail' ? 'Gmail' : 'Outlook'}`, url: authUrl }]
-                ]
+        for (const email of emails) {
+            const emoji = getCategoryEmoji(email.classification.category);
+            const date = formatTimeAgo(email.receivedAt);
+
+            message += `${emoji} *${email.classification.category.replace(/_/g, ' ')}*\n`;
+            message += `📌 ${escapeMarkdown(truncate(email.subject, 50))}\n`;
+            message += `👤 ${escapeMarkdown(truncate(email.from, 30))}\n`;
+            message += `🕐 ${date}\n\n`;
+        }
+
+        await botInstance.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+        logger.error('Error in /history handler', { error: error.message, chatId });
+        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
+    }
+}
+
+// ==================== CALLBACK HANDLERS ====================
+
+/**
+ * Handle inline button callbacks
+ */
+async function handleCallbackQuery(query) {
+    const chatId = query.message.chat.id;
+    const data = query.data;
+    const botInstance = getBot();
+
+    try {
+        // Acknowledge callback
+        await botInstance.answerCallbackQuery(query.id);
+
+        const connectMatch = data.match(/^(connect|reconnect)_(\w+)$/);
+        if (connectMatch && providers.getProvider(connectMatch[2])) {
+            await initiateConnect(chatId, connectMatch[2]);
+            return;
+        }
+
+        const removeMatch = data.match(/^remove_(confirm_)?([a-f0-9]{24})$/);
+        if (removeMatch) {
+            if (removeMatch[1]) {
+                await removeMailbox(chatId, removeMatch[2]);
+            } else {
+                await confirmRemoveMailbox(chatId, removeMatch[2]);
             }
-        });
+            return;
+        }
+
+        const attachmentMatch = data.match(/^att_([a-f0-9]{24})_(\d+)$/);
+        if (attachmentMatch) {
+            await sendAttachment(chatId, attachmentMatch[1], parseInt(attachmentMatch[2], 10), query.message.message_id);
+            return;
+        }
+
+        const folderPickMatch = data.match(/^folders_pick_([a-f0-9]{24})$/);
+        if (folderPickMatch) {
+            await openFolderPicker(chatId, folderPickMatch[1]);
+            return;
+        }
+
+        const folderActionMatch = data.match(/^folders_(toggle_\d+|spam|default|save)$/);
+        if (folderActionMatch) {
+            await updateFolderPicker(query, folderActionMatch[1]);
+            return;
+        }
+
+        const feedbackMatch = data.match(/^fb_(up|down|cat|back)_([a-f0-9]{24})$/);
+        if (feedbackMatch) {
+            await handleFeedback(query, feedbackMatch[1], feedbackMatch[2]);
+            return;
+        }
+
+        const feedbackCategoryMatch = data.match(/^fb_set_([a-f0-9]{24})_(\d+)$/);
+        if (feedbackCategoryMatch) {
+            await handleFeedback(query, 'set', feedbackCategoryMatch[1], parseInt(feedbackCategoryMatch[2], 10));
+            return;
+        }
+
+        const senderMatch = data.match(/^sender_(mute|trust)_([a-f0-9]{24})$/);
+        if (senderMatch) {
+            await handleSenderButton(chatId, senderMatch[1], senderMatch[2]);
+            return;
+        }
+
+        const toggleMatch = data.match(/^settings_toggle_(\w+)$/);
+        if (toggleMatch) {
+            await toggleSetting(query, toggleMatch[1]);
+            return;
+        }
+
+        switch (data) {
+            case 'setup_done':
+                await handleSetupComplete(chatId);
+                break;
+
+            case 'cancel':
+                await botInstance.sendMessage(chatId, '👍 Cancelled.');
+                break;
+
+            default:
+                logger.warn('Unknown callback data', { data, chatId });
+        }
+    } catch (error) {
+        logger.error('Error in callback handler', { error: error.message, data, chatId });
+        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
+    }
+}
+
+// ==================== OAUTH FLOW ====================
+
+/**
+ * Start connecting a provider (OAuth consent or credentials prompt)
+ * Connecting an already linked account refreshes it, a different account is added alongside
+ */
+async function initiateConnect(chatId, provider) {
+    const botInstance = getBot();
+    const adapter = providers.getProvider(provider);
+
+    try {
+        if (adapter.authType === 'credentials') {
+            await db.updateSession(chatId.toString(), {
+                state: 'AWAITING_CREDENTIALS',
+                pendingProvider: provider
+            });
+
+            await botInstance.sendMessage(chatId, adapter.connectInstructions, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        await initiateOAuth(chatId, provider);
     } catch (error) {
-        logger.error('Error initiating OAuth', { error: error.message, chatId, provider });
+        logger.error('Error initiating connection', { error: error.message, chatId, provider });
         throw error;
     }
 }
 
+/**
+ * Initiate OAuth flow for a provider
+ */
+async function initiateOAuth(chatId, provider) {
+    const botInstance = getBot();
+    const adapter = providers.getProvider(provider);
+
+    // Generate OAuth state for security
+    const oauthState = crypto.randomBytes(16).toString('hex');
+
+    // Save state to session, bound to this provider and short-lived
+    await db.updateSession(chatId.toString(), {
+        state: 'AWAITING_AUTH',
+        pendingProvider: provider,
+        oauthState: oauthState,
+        oauthProvider: provider,
+        oauthStateExpiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS),
+        oauthCodeVerifier: createCodeVerifier()
+    });
+
+    // Generate auth URL
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const authUrl = `${baseUrl}/oauth/${provider}/start?state=${oauthState}`;
+
+    const message = MESSAGES.OAUTH_INSTRUCTIONS.replace(/\{provider\}/g, adapter.displayName);
+
+    await botInstance.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: `🔐 Authorize ${adapter.displayName}`, url: authUrl }]
+            ]
+        }
+    });
+}
+
+/**
+ * Handle a credentials reply for a credentials-type provider
+ */
+async function handleCredentialsReply(msg, provider) {
+    const chatId = msg.chat.id;
+    const botInstance = getBot();
+    const adapter = providers.getProvider(provider);
+
+    // Never leave a password sitting in the chat history
+    botInstance.deleteMessage(chatId, msg.message_id).catch(err => {
+        logger.warn('Failed to delete credentials message', { chatId, error: err.message });
+    });
+
+    if (!adapter || adapter.authType !== 'credentials') return;
+
+    try {
+        const credentials = adapter.parseCredentials(msg.text);
+
+        if (!credentials) {
+            const message = MESSAGES.INVALID_CREDENTIALS.replace('{format}', adapter.credentialsFormat);
+            await botInstance.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        await botInstance.sendMessage(chatId, '🔌 Connecting to your mail server...');
+
+        const { email, ...connection } = credentials;
+        const { ok, credentials: rotated } = await adapter.testConnection(connection);
+        if (!ok) {
+            // Back to normal chat: the failure message points to /add for another try
+            await db.updateSession(chatId.toString(), { state: 'IDLE', pendingProvider: null });
+            await handleOAuthFailure(chatId, adapter.displayName, 'Could not log in. Check the server, username and password.');
+            return;
+        }
+
+        await db.upsertMailbox(chatId.toString(), provider, { ...credentials, ...rotated });
+        await db.updateSession(chatId.toString(), { state: 'IDLE', pendingProvider: null });
+
+        await handleOAuthSuccess(chatId.toString(), provider, email);
+    } catch (error) {
+        logger.error('Error connecting mailbox', { error: error.message, chatId, provider });
+        await db.updateSession(chatId.toString(), { state: 'IDLE', pendingProvider: null }).catch(() => {});
+        await botInstance.sendMessage(chatId, MESSAGES.ERROR);
+    }
+}
+
 /**
  * Handle successful OAuth callback
  */
@@ -683,15 +1252,12 @@ async function handleOAuthSuccess(chatId, provider, email) {
 
     try {
         // Update session
-        if (provider === 'gmail') {
-            await db.updateSession(chatId, { gmailConnected: true });
-        } else {
-            await db.updateSession(chatId, { outlookConnected: true });
-        }
+        await db.updateSession(chatId, { [`${provider}Connected`]: true });
 
         // Send success message
-        const message = (provider === 'gmail' ? MESSAGES.GMAIL_SUCCESS : MESSAGES.OUTLOOK_SUCCESS)
-            .replace('{email}', email || 'Unknown');
+        const message = MESSAGES.CONNECT_SUCCESS
+            .replace(/\{provider\}/g, providers.getDisplayName(provider))
+            .replace('{email}', escapeMarkdown(email) || 'Unknown');
 
         await botInstance.sendMessage(chatId, message, { parse_mode: 'Markdown' });
 
@@ -730,13 +1296,7 @@ async function handleSetupComplete(chatId) {
     try {
         const user = await db.getUserByChatId(chatId.toString());
 
-        const accounts = [];
-        if (user?.providers?.gmail?.enabled) {
-            accounts.push(`✅ Gmail: ${user.providers.gmail.email || 'Connected'}`);
-        }
-        if (user?.providers?.outlook?.enabled) {
-            accounts.push(`✅ Outlook: ${user.providers.outlook.email || 'Connected'}`);
-        }
+        const accounts = buildAccountLines(user);
 
         if (accounts.length === 0) {
             accounts.push('⚠️ No accounts connected');
@@ -754,22 +1314,265 @@ async function handleSetupComplete(chatId) {
     }
 }
 
-// ==================== NOTIFICATION SENDING ====================
+// ==================== SETTINGS ====================
 
 /**
- * Send email notification to user
+ * Flip a /settings switch and update the keyboard in place
+ * @param {Object} query - Telegram callback query
+ * @param {string} key - 'all' or a category name
+ */
+async function toggleSetting(query, key) {
+    const chatId = query.message.chat.id;
+    const botInstance = getBot();
+
+    let user;
+    if (key === 'all') {
+        user = await db.toggleUserSetting(chatId.toString(), 'settings.notificationsEnabled');
+    } else if (TOGGLEABLE_CATEGORIES.includes(key)) {
+        user = await db.toggleUserSetting(chatId.toString(), `settings.categories.${key}`);
+    } else if (key === 'threads') {
+        const current = await db.getUserByChatId(chatId.toString());
+        const next = current?.settings?.threadUpdates === 'edit' ? 'reply' : 'edit';
+        user = await db.setUserSetting(chatId.toString(), 'settings.threadUpdates', next);
+    } else {
+        logger.warn('Unknown settings toggle', { key, chatId });
+        return;
+    }
+
+    if (!user) return;
+
+    await botInstance.editMessageReplyMarkup(buildSettingsKeyboard(user.settings), {
+        chat_id: chatId,
+        message_id: query.message.message_id
+    });
+}
+
+// ==================== FOLDER SELECTION ====================
+
+/**
+ * List a mailbox's folders and show the /folders picker
+ * The listing is kept in the session so buttons can refer to folders by index
+ * (folder IDs don't fit in callback data)
  */
-async function sendEmailNotification(chatId, email, classification) {
+async function openFolderPicker(chatId, mailboxId) {
     const botInstance = getBot();
 
+    const user = await db.getUserByChatId(chatId.toString());
+    const mailbox = db.getMailbox(user, mailboxId);
+
+    if (!mailbox) {
+        await botInstance.sendMessage(chatId, '⚠️ That account is no longer connected.');
+        return;
+    }
+
+    const adapter = providers.getProvider(mailbox.provider);
+    const label = escapeMarkdown(mailboxLabel(mailbox));
+
+    if (!adapter?.listFolders) {
+        await botInstance.sendMessage(chatId, MESSAGES.FOLDERS_UNSUPPORTED);
+        return;
+    }
+
+    let listed;
     try {
-        const emoji = getCategoryEmoji(classification.category);
-        const formattedDate = formatDate(email.date);
+        const result = await adapter.listFolders(db.getMailboxCredentials(mailbox));
+        await storeRotatedCredentials(chatId, mailbox, result.credentials);
+        listed = result.folders;
+    } catch (error) {
+        logger.warn('Failed to list folders', { chatId, provider: mailbox.provider, error: error.message });
+        await botInstance.sendMessage(chatId, MESSAGES.FOLDERS_FAILED.replace('{account}', label), { parse_mode: 'Markdown' });
+        return;
+    }
 
-        // Add spam warning if email was found in spam/junk folder
-        const spamWarning = email.isSpam ? '\n\n⚠️ *Found in Spam/Junk folder!*' : '';
+    const { watched, includeSpam } = db.getMailboxFolders(mailbox);
+    const folders = listed.filter((folder, index) => index < MAX_FOLDER_BUTTONS || watched.includes(folder.id));
 
-        const message = `${emoji} *${classification.category.replace(/_/g, ' ')}*${spamWarning}
+    const picker = {
+        mailboxId,
+        folders,
+        // Folders that were deleted since they were picked drop out here
+        watched: watched.filter(id => folders.some(folder => folder.id === id)),
+        includeSpam
+    };
+
+    const message = MESSAGES.FOLDERS
+        .replace('{account}', label)
+        .replace('{default}', adapter.defaultFoldersLabel);
+
+    const sent = await botInstance.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: buildFolderKeyboard(picker)
+    });
+
+    // Only the newest picker message is live; older ones would index into this listing
+    await db.updateSession(chatId.toString(), { folderPicker: { ...picker, messageId: sent.message_id } });
+}
+
+/**
+ * Apply a /folders button to the selection in progress
+ * @param {Object} query - Callback query
+ * @param {string} action - toggle_<index>, spam, default or save
+ */
+async function updateFolderPicker(query, action) {
+    const chatId = query.message.chat.id;
+    const botInstance = getBot();
+    const target = { chat_id: chatId, message_id: query.message.message_id };
+
+    const session = await db.getOrCreateSession(chatId.toString());
+    const picker = session.folderPicker;
+
+    if (!picker || picker.messageId !== query.message.message_id) {
+        await botInstance.editMessageText(MESSAGES.FOLDERS_EXPIRED, target);
+        return;
+    }
+
+    if (action === 'save') {
+        const watched = picker.folders.filter(folder => picker.watched.includes(folder.id));
+        const saved = await db.updateMailboxFolders(chatId.toString(), picker.mailboxId, {
+            watched,
+            includeSpam: picker.includeSpam
+        });
+
+        await db.updateSession(chatId.toString(), { folderPicker: null });
+
+        if (!saved) {
+            await botInstance.editMessageText('⚠️ That account is no longer connected.', target);
+            return;
+        }
+
+        const user = await db.getUserByChatId(chatId.toString());
+        const lines = watched.length > 0
+            ? watched.map(folder => `• ${escapeMarkdown(folder.name)}`)
+            : ['• Default folders'];
+        lines.push(`• Spam/Junk: ${picker.includeSpam ? 'On' : 'Off'}`);
+
+        const message = MESSAGES.FOLDERS_SAVED
+            .replace('{account}', escapeMarkdown(mailboxLabel(db.getMailbox(user, picker.mailboxId))))
+            .replace('{folders}', lines.join('\n'));
+
+        await botInstance.editMessageText(message, { ...target, parse_mode: 'Markdown' });
+        logger.info('Mailbox folders updated', { chatId, mailboxId: picker.mailboxId, folders: watched.length, includeSpam: picker.includeSpam });
+        return;
+    }
+
+    if (action === 'spam') {
+        picker.includeSpam = !picker.includeSpam;
+    } else if (action === 'default') {
+        picker.watched = [];
+        picker.includeSpam = true;
+    } else {
+        const folder = picker.folders[parseInt(action.slice('toggle_'.length), 10)];
+        if (!folder) return;
+
+        picker.watched = picker.watched.includes(folder.id)
+            ? picker.watched.filter(id => id !== folder.id)
+            : [...picker.watched, folder.id];
+    }
+
+    await db.updateSession(chatId.toString(), { folderPicker: picker });
+    await botInstance.editMessageReplyMarkup(buildFolderKeyboard(picker), target);
+}
+
+// ==================== MAILBOX REMOVAL ====================
+
+/**
+ * Ask for confirmation before disconnecting a mailbox
+ */
+async function confirmRemoveMailbox(chatId, mailboxId) {
+    const botInstance = getBot();
+
+    const user = await db.getUserByChatId(chatId.toString());
+    const mailbox = db.getMailbox(user, mailboxId);
+
+    if (!mailbox) {
+        await botInstance.sendMessage(chatId, '⚠️ That account is no longer connected.');
+        return;
+    }
+
+    const message = MESSAGES.CONFIRM_REMOVE.replace('{account}', escapeMarkdown(mailboxLabel(mailbox)));
+
+    await botInstance.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+            inline_keyboard: [
+                [
+                    { text: '✅ Yes, disconnect', callback_data: `remove_confirm_${mailboxId}` },
+                    { text: '❌ Cancel', callback_data: 'cancel' }
+                ]
+            ]
+        }
+    });
+}
+
+/**
+ * Disconnect a mailbox, stop its push delivery and revoke its token (best effort)
+ */
+async function removeMailbox(chatId, mailboxId) {
+    const botInstance = getBot();
+
+    const user = await db.getUserByChatId(chatId.toString());
+    const mailbox = db.getMailbox(user, mailboxId);
+
+    if (!mailbox) {
+        await botInstance.sendMessage(chatId, '⚠️ That account is no longer connected.');
+        return;
+    }
+
+    const adapter = providers.getProvider(mailbox.provider);
+    const label = mailboxLabel(mailbox);
+
+    // Push is stopped first, while the token still works; neither may block the removal itself
+    if (adapter?.unwatchMailbox && mailbox.push && adapter.hasCredentials(mailbox)) {
+        await Promise.resolve()
+            .then(async () => {
+                // An account-wide watch is left running while another chat still uses the address
+                if (adapter.accountWidePush && mailbox.address) {
+                    const owners = await db.findMailboxOwners(mailbox.provider, mailbox.address);
+                    if (owners.some(owner => !owner.mailbox._id.equals(mailbox._id))) return;
+                }
+                await adapter.unwatchMailbox(db.getMailboxCredentials(mailbox), mailbox.push);
+            })
+            .catch(() => {});
+    }
+
+    let revoked = false;
+    if (adapter?.revokeAccess && adapter.hasCredentials(mailbox)) {
+        revoked = await Promise.resolve()
+            .then(() => adapter.revokeAccess(db.getMailboxCredentials(mailbox)))
+            .catch(() => false);
+    }
+
+    await db.removeMailbox(chatId.toString(), mailboxId);
+
+    let message = MESSAGES.REMOVED.replace('{account}', escapeMarkdown(label));
+    if (!revoked && adapter?.manageAccessUrls) {
+        message += '\n\n' + MESSAGES.REMOVED_MANUAL_REVOKE.replace('{urls}', adapter.manageAccessUrls.join('\n'));
+    }
+
+    await botInstance.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+    });
+
+    logger.info('Mailbox disconnected', { chatId, provider: mailbox.provider, revoked });
+}
+
+// ==================== NOTIFICATION SENDING ====================
+
+/**
+ * Build the alert text for an email
+ * @param {Object} email - Email (subject, from, date, snippet, attachments, links, webLink, isSpam)
+ * @param {Object} classification - Classification result
+ * @returns {string} Markdown message
+ */
+function buildNotificationText(email, classification) {
+    const emoji = getCategoryEmoji(classification.category);
+    const formattedDate = formatDate(email.date);
+
+    // Add spam warning if email was found in spam/junk folder
+    const spamWarning = email.isSpam ? '\n\n⚠️ *Found in Spam/Junk folder!*' : '';
+
+    return `${emoji} *${classification.category.replace(/_/g, ' ')}*${spamWarning}
 
 📧 *Subject:* ${escapeMarkdown(email.subject)}
 
@@ -779,36 +1582,409 @@ async function sendEmailNotification(chatId, email, classification) {
 
 📝 *Preview:*
 ${escapeMarkdown(truncate(email.snippet, 200))}
+${buildAttachmentSection(email.attachments)}${buildLinkSection(email.links)}
+${email.webLink ? `🔗 [Open Email](${email.webLink})\n\n` : ''}_Confidence: ${Math.round(classification.confidence * 100)}%_`;
+}
 
-🔗 [Open Email](${email.webLink})
+/**
+ * Send email notification to user
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} email - Email object
+ * @param {Object} classification - Classification result
+ * @param {string|null} emailId - Saved email document ID (enables buttons)
+ * @param {number|null} replyTo - Message ID of the thread's first alert to reply to
+ * @returns {Promise<number|null>} Telegram message ID, or null if sending failed
+ */
+async function sendEmailNotification(chatId, email, classification, emailId = null, replyTo = null) {
+    const botInstance = getBot();
 
-_Confidence: ${Math.round(classification.confidence * 100)}%_`;
+    try {
+        const message = buildNotificationText(email, classification);
+        const buttons = emailId
+            ? [...buildAttachmentButtons(emailId, email.attachments), buildFeedbackButtons(emailId), buildSenderButtons(emailId)]
+            : [];
 
-        await botInstance.sendMessage(chatId, message, {
+        const sent = await botInstance.sendMessage(chatId, message, {
             parse_mode: 'Markdown',
-            disable_web_page_preview: true
+            disable_web_page_preview: true,
+            ...(replyTo && { reply_to_message_id: replyTo, allow_sending_without_reply: true }),
+            ...(buttons.length > 0 && { reply_markup: { inline_keyboard: buttons } })
         });
 
-        logger.info('Email notification sent', { chatId, emailId: email.id, category: classification.category, isSpam: email.isSpam });
-        return true;
+        logger.info('Email notification sent', { chatId, emailId: email.id, category: classification.category, isSpam: email.isSpam, threadReply: !!replyTo });
+        return sent.message_id;
     } catch (error) {
         logger.error('Failed to send email notification', { chatId, error: error.message });
-        return false;
+        return null;
+    }
+}
+
+/**
+ * Re-render a sent alert from its saved email document
+ * Adds the thread's follow-ups and the other mailboxes the email arrived in
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} root - Email document the alert was sent for
+ * @param {Object|null} followUp - Follow-up email document being folded in (its attachments get buttons too)
+ * @returns {Promise<number|null>} Message ID of the edited alert, or null if it can't be edited
+ */
+async function updateAlert(chatId, root, followUp = null) {
+    const botInstance = getBot();
+
+    try {
+        const email = {
+            subject: root.subject,
+            from: root.from,
+            date: root.receivedAt,
+            snippet: root.snippet,
+            attachments: root.attachments,
+            links: root.links,
+            webLink: root.webLink,
+            isSpam: root.isSpam
+        };
+        const message = buildNotificationText(email, root.classification)
+            + buildDuplicateSection(root.duplicates)
+            + buildThreadSection(root.threadUpdates);
+
+        const buttons = [
+            ...buildAttachmentButtons(root._id, root.attachments),
+            ...(followUp ? buildAttachmentButtons(followUp._id, followUp.attachments) : []),
+            buildFeedbackButtons(root._id, root.feedback),
+            buildSenderButtons(root._id)
+        ];
+
+        await botInstance.editMessageText(message, {
+            chat_id: chatId,
+            message_id: root.telegramMessageId,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: buttons }
+        });
+
+        logger.info('Alert updated', { chatId, emailId: root._id, updates: root.threadUpdates.length, duplicates: root.duplicates.length });
+        return root.telegramMessageId;
+    } catch (error) {
+        logger.warn('Failed to update alert', { chatId, emailId: root._id, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * List the other mailboxes an alerted email also arrived in
+ * @param {Array} duplicates - Email duplicates ({ provider, address })
+ * @returns {string} Markdown section (empty when there are none)
+ */
+function buildDuplicateSection(duplicates = []) {
+    if (duplicates.length === 0) return '';
+
+    const sources = duplicates.map(copy => escapeMarkdown(mailboxLabel(copy)));
+    return `\n\n📬 *Also in:* ${sources.join(', ')}`;
+}
+
+/**
+ * List a thread's follow-ups under its first alert (newest last)
+ * @param {Array} updates - Root email threadUpdates
+ * @returns {string} Markdown section (empty when there are none)
+ */
+function buildThreadSection(updates = []) {
+    if (updates.length === 0) return '';
+
+    const lines = updates.slice(-MAX_THREAD_UPDATE_LINES).map(update =>
+        `• ${formatDate(update.receivedAt)}: ${escapeMarkdown(truncate(update.snippet || update.subject, 80))}`
+    );
+    if (updates.length > MAX_THREAD_UPDATE_LINES) {
+        lines.unshift(`_…${updates.length - MAX_THREAD_UPDATE_LINES} earlier_`);
     }
+
+    return `\n\n🔁 *${updates.length} update${updates.length === 1 ? '' : 's'}*\n${lines.join('\n')}`;
+}
+
+/**
+ * Get the attachment forwarding size cap
+ * @returns {number} Bytes
+ */
+function getAttachmentMaxBytes() {
+    const mb = parseFloat(process.env.ATTACHMENT_MAX_MB);
+    return (mb > 0 ? mb : DEFAULT_ATTACHMENT_MAX_MB) * 1024 * 1024;
+}
+
+/**
+ * List attachments in a notification
+ * @param {Array} attachments - Email attachments
+ * @returns {string} Markdown section (empty when there are none)
+ */
+function buildAttachmentSection(attachments = []) {
+    if (attachments.length === 0) return '';
+
+    const lines = attachments.slice(0, MAX_NOTIFICATION_ATTACHMENTS).map(attachment =>
+        `• ${escapeMarkdown(truncate(attachment.name, 60))} (${escapeMarkdown(formatFileType(attachment.type, attachment.name))}, ${formatSize(attachment.size)})`
+    );
+
+    if (attachments.length > MAX_NOTIFICATION_ATTACHMENTS) {
+        lines.push(`…and ${attachments.length - MAX_NOTIFICATION_ATTACHMENTS} more`);
+    }
+
+    return `\n📎 *Attachments:*\n${lines.join('\n')}\n`;
+}
+
+/**
+ * List the first few hyperlinks from the email body
+ * @param {Array} links - Email links ({ url, text })
+ * @returns {string} Markdown section (empty when there are none)
+ */
+function buildLinkSection(links = []) {
+    const lines = links
+        .filter(link => !FOOTER_LINK_PATTERN.test(`${link.text} ${link.url}`))
+        .slice(0, MAX_NOTIFICATION_LINKS)
+        .map(link => {
+            // Markdown can't be escaped inside a link, so the email's link text goes before it
+            // as escaped plain text and the link itself shows the host
+            const url = link.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+            const host = link.url.replace(/^https?:\/\/([^/?#]+).*$/i, '$1').replace(/[[\]]/g, '');
+            const anchor = `[${truncate(host, 50)}](${url})`;
+            return link.text && link.text !== link.url
+                ? `• ${escapeMarkdown(truncate(link.text, 50))}: ${anchor}`
+                : `• ${anchor}`;
+        });
+
+    if (lines.length === 0) return '';
+
+    return `\n🔗 *Links:*\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Build "Send attachment" buttons for attachments under the size cap
+ * @param {string} emailId - Saved email document ID
+ * @param {Array} attachments - Email attachments
+ * @returns {Array<Array>} Keyboard rows
+ */
+function buildAttachmentButtons(emailId, attachments = []) {
+    const maxBytes = getAttachmentMaxBytes();
+
+    const buttons = attachments
+        .map((attachment, index) => ({ attachment, index }))
+        .filter(({ attachment }) => attachment.size <= maxBytes)
+        .slice(0, MAX_ATTACHMENT_BUTTONS)
+        .map(({ attachment, index }) => ({
+            text: attachments.length === 1 ? '📎 Send attachment' : `📎 ${truncate(attachment.name, 30)}`,
+            callback_data: `att_${emailId}_${index}`
+        }));
+
+    return buttons.map(button => [button]);
+}
+
+/**
+ * Build the 👍 / 👎 / wrong category row for an alert
+ * The feedback already given is ticked, so it can be changed
+ * @param {string} emailId - Saved email document ID
+ * @param {Object} [feedback] - Email feedback ({ label, correctedCategory })
+ * @returns {Array} Keyboard row
+ */
+function buildFeedbackButtons(emailId, feedback = {}) {
+    const label = feedback?.label;
+    const corrected = feedback?.correctedCategory;
+
+    return [
+        { text: label === 'correct' ? '✅ 👍' : '👍', callback_data: `fb_up_${emailId}` },
+        { text: label === 'not_important' ? '✅ 👎' : '👎', callback_data: `fb_down_${emailId}` },
+        {
+            text: label === 'wrong_category' && corrected ? `✅ ${formatCategoryShort(corrected)}` : '🏷️ Wrong category',
+            callback_data: `fb_cat_${emailId}`
+        }
+    ];
+}
+
+/**
+ * Build the row of categories offered after tapping "Wrong category"
+ * @param {string} emailId - Saved email document ID
+ * @param {string} current - Category the alert was sent with
+ * @returns {Array} Keyboard row
+ */
+function buildFeedbackCategoryButtons(emailId, current) {
+    const buttons = TOGGLEABLE_CATEGORIES
+        .map((category, index) => ({ category, index }))
+        .filter(({ category }) => category !== current)
+        .map(({ category, index }) => ({
+            text: formatCategoryShort(category),
+            callback_data: `fb_set_${emailId}_${index}`
+        }));
+
+    return [...buttons, { text: '↩️', callback_data: `fb_back_${emailId}` }];
+}
+
+/**
+ * Record 👍 / 👎 / wrong category feedback on an alert, or open/close the category choice
+ * Only the alert's feedback row changes; other buttons are kept as they are
+ */
+async function handleFeedback(query, action, emailId, categoryIndex = null) {
+    const chatId = query.message.chat.id;
+    const botInstance = getBot();
+
+    let email = await db.getEmailById(chatId, emailId);
+    if (!email) {
+        await botInstance.sendMessage(chatId, MESSAGES.FEEDBACK_UNAVAILABLE);
+        return;
+    }
+
+    if (action === 'cat') {
+        await replaceFeedbackRow(query, buildFeedbackCategoryButtons(emailId, email.classification?.category));
+        return;
+    }
+
+    if (action !== 'back') {
+        const correctedCategory = action === 'set' ? TOGGLEABLE_CATEGORIES[categoryIndex] : null;
+        if (action === 'set' && !correctedCategory) return;
+
+        const label = { up: 'correct', down: 'not_important', set: 'wrong_category' }[action];
+        email = await db.recordFeedback(chatId, emailId, label, correctedCategory) || email;
+
+        logger.info('Alert feedback recorded', { chatId, emailId, label, correctedCategory, method: email.classification?.method });
+    }
+
+    await replaceFeedbackRow(query, buildFeedbackButtons(emailId, email.feedback));
+}
+
+/**
+ * Swap the feedback row of an alert's keyboard
+ * @param {Object} query - Callback query from the alert
+ * @param {Array} row - New feedback row
+ */
+async function replaceFeedbackRow(query, row) {
+    const rows = query.message.reply_markup?.inline_keyboard || [];
+    const isFeedbackRow = buttons => buttons.some(button => button.callback_data?.startsWith('fb_'));
+
+    const keyboard = rows.some(isFeedbackRow)
+        ? rows.map(buttons => (isFeedbackRow(buttons) ? row : buttons))
+        : [...rows, row];
+
+    await getBot().editMessageReplyMarkup({ inline_keyboard: keyboard }, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id
+    });
+}
+
+/**
+ * Build the "Mute sender" / "Trust sender" row for an alert
+ * @param {string} emailId - Saved email document ID
+ * @returns {Array} Keyboard row
+ */
+function buildSenderButtons(emailId) {
+    return [
+        { text: '🔇 Mute sender', callback_data: `sender_mute_${emailId}` },
+        { text: '⭐ Trust sender', callback_data: `sender_trust_${emailId}` }
+    ];
+}
+
+/**
+ * Add a sender rule for the address an alerted email came from
+ * Trusting keeps the category the alert was sent with
+ */
+async function handleSenderButton(chatId, action, emailId) {
+    const email = await db.getEmailById(chatId, emailId);
+    const address = getSenderAddress(email?.from);
+
+    if (!address.includes('@')) {
+        await getBot().sendMessage(chatId, MESSAGES.SENDER_UNAVAILABLE);
+        return;
+    }
+
+    let category = null;
+    if (action === 'trust') {
+        const alerted = email.classification?.category;
+        category = TOGGLEABLE_CATEGORIES.includes(alerted) ? alerted : CATEGORIES.PLACEMENT_DRIVE;
+    }
+
+    await saveSenderRule(chatId, {
+        matchType: 'address',
+        pattern: address,
+        action: action === 'trust' ? 'important' : 'ignore',
+        category
+    });
+}
+
+/**
+ * Store credentials a provider call rotated (e.g. a new Outlook refresh token)
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} mailbox - Mailbox sub-document
+ * @param {Object|null} credentials - Rotated credential fields (null = unchanged)
+ */
+async function storeRotatedCredentials(chatId, mailbox, credentials) {
+    if (!credentials) return;
+
+    await db.updateMailboxCredentials(chatId.toString(), mailbox._id, credentials);
+    Object.assign(mailbox, credentials);
+}
+
+/**
+ * Download an attachment from the mailbox and send it as a document
+ */
+async function sendAttachment(chatId, emailId, index, replyToMessageId) {
+    const botInstance = getBot();
+
+    const email = await db.getEmailById(chatId, emailId);
+    const attachment = email?.attachments?.[index];
+    const user = attachment ? await db.getUserByChatId(chatId) : null;
+    const mailbox = db.getMailbox(user, email?.mailboxId);
+    const adapter = providers.getProvider(mailbox?.provider);
+
+    if (!attachment || !mailbox || !adapter?.downloadAttachment) {
+        await botInstance.sendMessage(chatId, MESSAGES.ATTACHMENT_UNAVAILABLE);
+        return;
+    }
+
+    const name = escapeMarkdown(attachment.name);
+    const maxBytes = getAttachmentMaxBytes();
+    const sendTooLarge = (size) => botInstance.sendMessage(chatId, MESSAGES.ATTACHMENT_TOO_LARGE
+        .replace('{name}', name)
+        .replace('{size}', formatSize(size))
+        .replace('{limit}', formatSize(maxBytes)), { parse_mode: 'Markdown' });
+
+    if (attachment.size > maxBytes) {
+        await sendTooLarge(attachment.size);
+        return;
+    }
+
+    botInstance.sendChatAction(chatId, 'upload_document').catch(() => {});
+
+    let content;
+    try {
+        const result = await adapter.downloadAttachment(db.getMailboxCredentials(mailbox), email.messageId, attachment.attachmentId);
+        await storeRotatedCredentials(chatId, mailbox, result.credentials);
+        content = result.content;
+    } catch (error) {
+        logger.warn('Attachment download failed', { chatId, provider: mailbox.provider, error: error.message });
+        await botInstance.sendMessage(chatId, MESSAGES.ATTACHMENT_FAILED.replace('{name}', name), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    // The stored size is approximate for some providers
+    if (content.length > maxBytes) {
+        await sendTooLarge(content.length);
+        return;
+    }
+
+    await botInstance.sendDocument(chatId, content, {
+        reply_to_message_id: replyToMessageId
+    }, {
+        filename: attachment.name,
+        contentType: attachment.type
+    });
+
+    logger.info('Attachment sent', { chatId, emailId, size: content.length });
 }
 
 /**
  * Send failure alert to user
  */
-async function sendFailureAlert(chatId, provider, error = '') {
+async function sendFailureAlert(chatId, mailbox, error = '') {
     const botInstance = getBot();
+    const provider = mailbox.provider;
 
     try {
-        const providerName = provider === 'gmail' ? 'Gmail' : 'Outlook';
+        const providerName = providers.getDisplayName(provider);
 
         const message = `⚠️ *Mail Fetch Failing*
 
-The ${providerName} mail fetch is encountering errors. Please check your connection.
+The ${escapeMarkdown(mailboxLabel(mailbox))} mail fetch is encountering errors. Please check your connection.
 
 ${error ? `_Error: ${escapeMarkdown(truncate(error, 100))}_` : ''}
 
@@ -827,6 +2003,34 @@ _This alert won't repeat for 2 hours._`;
     }
 }
 
+/**
+ * Ask the user to reconnect a mailbox whose access was revoked
+ * Sent once, when the mailbox is disabled
+ */
+async function sendReconnectPrompt(chatId, mailbox) {
+    const botInstance = getBot();
+    const adapter = providers.getProvider(mailbox.provider);
+
+    try {
+        const message = MESSAGES.RECONNECT_REQUIRED
+            .replace('{account}', escapeMarkdown(mailboxLabel(mailbox)));
+
+        await botInstance.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: `${adapter.icon} Reconnect ${adapter.displayName}`, callback_data: `reconnect_${adapter.id}` }
+                ]]
+            }
+        });
+
+        return true;
+    } catch (err) {
+        logger.error('Failed to send reconnect prompt', { chatId, provider: mailbox.provider, error: err.message });
+        return false;
+    }
+}
+
 // ==================== WEBHOOK MANAGEMENT ====================
 
 /**
@@ -886,6 +2090,11 @@ function getCategoryEmoji(category) {
     return emojis[category] || '📧';
 }
 
+function formatCategoryShort(category) {
+    const word = category.split('_')[0];
+    return `${getCategoryEmoji(category)} ${word.charAt(0)}${word.slice(1).toLowerCase()}`;
+}
+
 function formatDate(date) {
     if (!date) return 'Unknown';
     try {
@@ -923,6 +2132,21 @@ function escapeMarkdown(text) {
         .replace(/`/g, '\\`');
 }
 
+function formatSize(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatFileType(mimeType, name = '') {
+    // File extensions and short subtypes read well (PDF, DOCX); long ones like vnd.openxmlformats-... don't
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+    if (extension && extension.length <= 5) return extension.toUpperCase();
+
+    const subtype = (mimeType || '').split('/')[1] || '';
+    return subtype && subtype.length <= 4 ? subtype.toUpperCase() : (mimeType || 'file');
+}
+
 function truncate(text, maxLength) {
     if (!text) return '';
     if (text.length <= maxLength) return text;
@@ -936,7 +2160,9 @@ module.exports = {
     handleOAuthSuccess,
     handleOAuthFailure,
     sendEmailNotification,
+    updateAlert,
     sendFailureAlert,
+    sendReconnectPrompt,
     setWebhook,
     deleteWebhook,
     getWebhookInfo
@@ -1,12 +1,16 @@
 /**
  * Email Classifier
  * 2-level classification approach:
+ * Level 0: The user's sender rules (always important / always ignore)
  * Level 1: Fast keyword scoring (always runs)
- * Level 2: Gemini AI classification (runs if uncertain)
+ * Level 2: Local text model (runs if uncertain, screens before AI)
+ * Level 3: AI classification with Gemini or an OpenAI-compatible model (runs if still uncertain)
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { getSenderAddress } = require('../utils/emailFingerprint');
+const textModel = require('../utils/textModel');
+const llm = require('./llm');
 
 // Email categories
 const CATEGORIES = {
@@ -69,18 +73,41 @@ const TRUSTED_SENDER_PATTERNS = [
     /@hackerearth\.com/i, /@codility\.com/i, /@mettl\.com/i
 ];
 
+// Per-user rule limits (/rules)
+const MAX_RULE_PATTERN_LENGTH = 100;
+const MAX_RULE_WEIGHT = 10;
+
+// User regexes may only repeat with ?, {n} or {m,n} up to this count (no +, * or {n,}),
+// and may match in at most MAX_RULE_PATHS ways at one position, so matching stays
+// linear in the email's length however the pattern backtracks
+const MAX_RULE_REPEAT = 10;
+const MAX_RULE_PATHS = 100;
+
+// Sender rule match order: the most specific rule decides
+const SENDER_MATCH_ORDER = ['address', 'domain', 'name'];
+
 // Threshold for AI classification (if score is between these, use AI)
 const AI_THRESHOLD_LOW = 3;
 const AI_THRESHOLD_HIGH = 8;
 
+// Text model probability needed to decide without AI
+const MODEL_MIN_CONFIDENCE = 0.8;
+
 /**
  * Classify email using 2-level approach
  * @param {Object} email - Email object with subject, body, from, snippet
+ * @param {Object} [options] - { keywordRules, senderRules, textModel } - the user's /rules and /senders, the trained model
  * @returns {Promise<Object>} Classification result
  */
-async function classifyEmail(email) {
+async function classifyEmail(email, options = {}) {
+    // Level 0: Sender allowlist/blocklist
+    const senderResult = senderClassify(email, options.senderRules);
+    if (senderResult) {
+        return senderResult;
+    }
+
     // Level 1: Keyword scoring
-    const keywordResult = keywordClassify(email);
+    const keywordResult = keywordClassify(email, options.keywordRules);
 
     logger.debug('Keyword classification result', {
         emailId: email.id,
@@ -100,8 +127,14 @@ async function classifyEmail(email) {
         };
     }
 
-    // Level 2: AI classification for uncertain cases
-    if (process.env.GEMINI_API_KEY) {
+    // Level 2: Local text model for uncertain cases
+    const modelResult = modelClassify(email, options.textModel);
+    if (modelResult) {
+        return modelResult;
+    }
+
+    // Level 3: AI classification for cases the model isn't sure about
+    if (llm.getConfiguredBackend()) {
         try {
             const aiResult = await aiClassify(email);
             return {
@@ -123,13 +156,74 @@ async function classifyEmail(email) {
     };
 }
 
+/**
+ * Level 0: Sender rule classification
+ * @param {Object} email - Email object
+ * @param {Array} [rules] - User sender rules ({ matchType, pattern, action, category })
+ * @returns {Object|null} Classification result, or null if no rule matches
+ */
+function senderClassify(email, rules = []) {
+    const rule = findSenderRule(email.from, rules);
+    if (!rule) return null;
+
+    if (rule.action === 'ignore') {
+        return {
+            important: false,
+            category: CATEGORIES.OTHER,
+            confidence: 1.0,
+            reason: `Muted sender: ${rule.pattern}`,
+            method: 'sender'
+        };
+    }
+
+    return {
+        important: true,
+        category: rule.category || CATEGORIES.OTHER,
+        confidence: 1.0,
+        reason: `Trusted sender: ${rule.pattern}`,
+        method: 'sender'
+    };
+}
+
+/**
+ * Find the sender rule that applies to a From header
+ * An address rule beats a domain rule, which beats a display-name rule
+ * @param {string} from - e.g. "Placement Cell <tpo@college.edu>"
+ * @param {Array} [rules] - User sender rules
+ * @returns {Object|null} Matching rule
+ */
+function findSenderRule(from, rules = []) {
+    if (!rules || rules.length === 0) return null;
+
+    const address = getSenderAddress(from);
+    const domain = address.includes('@') ? address.split('@').pop() : '';
+    const name = (from || '').replace(/<[^>]*>/, '').replace(/["']/g, '').trim().toLowerCase();
+
+    const matches = {
+        address: rule => rule.pattern === address,
+        // Subdomains count: "college.edu" covers "tpo@placements.college.edu"
+        domain: rule => !!domain && (domain === rule.pattern || domain.endsWith(`.${rule.pattern}`)),
+        name: rule => !!name && name.includes(rule.pattern)
+    };
+
+    for (const matchType of SENDER_MATCH_ORDER) {
+        const rule = rules.find(candidate => candidate.matchType === matchType && matches[matchType](candidate));
+        if (rule) return rule;
+    }
+
+    return null;
+}
+
 /**
  * Level 1: Keyword-based classification
  * @param {Object} email - Email object
+ * @param {Array} [rules] - User keyword rules ({ pattern, isRegex, category, weight, negative })
  * @returns {Object} Classification result with score
  */
-function keywordClassify(email) {
-    const text = `${email.subject} ${email.snippet} ${email.body}`.toLowerCase();
+function keywordClassify(email, rules = []) {
+    // Link targets count too: assessment platforms and meeting links are often only in an href
+    const linkText = (email.links || []).map(link => `${link.text} ${link.url}`).join(' ');
+    const text = `${email.subject} ${email.snippet} ${email.body} ${linkText}`.toLowerCase();
     const from = (email.from || '').toLowerCase();
 
     // Check for negative keywords
@@ -140,6 +234,22 @@ function keywordClassify(email) {
         }
     }
 
+    // User rules: negative rules without a category count against every category
+    const ruleScores = {};
+    for (const rule of rules || []) {
+        const matcher = compileRulePattern(rule);
+        if (!matcher || !matcher.test(text)) continue;
+
+        if (rule.negative && !rule.category) {
+            negativeScore += rule.weight;
+            continue;
+        }
+
+        const entry = ruleScores[rule.category] || (ruleScores[rule.category] = { score: 0, matched: [] });
+        entry.score += rule.negative ? -rule.weight : rule.weight;
+        if (!rule.negative) entry.matched.push(rule.pattern);
+    }
+
     // Check for trusted senders
     let senderBonus = 0;
     for (const pattern of TRUSTED_SENDER_PATTERNS) {
@@ -182,6 +292,10 @@ function keywordClassify(email) {
             }
         }
 
+        // Apply user rules
+        score += ruleScores[category]?.score || 0;
+        matchedKeywords.push(...(ruleScores[category]?.matched || []));
+
         // Apply sender bonus
         score += senderBonus;
 
@@ -215,52 +329,169 @@ function keywordClassify(email) {
 }
 
 /**
- * Level 2: AI-based classification using Gemini
+ * Level 2: Local text model classification
  * @param {Object} email - Email object
- * @returns {Promise<Object>} AI classification result
+ * @param {Object|null} model - Trained model (db.getTextModel)
+ * @returns {Object|null} Classification result, or null if there's no model or it isn't confident
  */
-async function aiClassify(email) {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-        throw new Error('Gemini API key not configured');
+function modelClassify(email, model) {
+    const prediction = textModel.predict(model, email);
+
+    logger.debug('Text model prediction', {
+        emailId: email.id,
+        category: prediction?.category,
+        probability: prediction?.probability
+    });
+
+    if (!prediction || !Number.isFinite(prediction.probability) || prediction.probability < MODEL_MIN_CONFIDENCE) return null;
+
+    return {
+        important: prediction.category !== CATEGORIES.OTHER,
+        category: prediction.category,
+        confidence: prediction.probability,
+        reason: `Text model (${model.documentCount} training emails)`,
+        method: 'model'
+    };
+}
+
+/**
+ * Build a case-insensitive matcher for a user rule
+ * Phrases match as plain substrings, like the built-in keywords
+ * @param {Object} rule - { pattern, isRegex }
+ * @returns {RegExp|null} Matcher, or null if the pattern is unusable
+ */
+function compileRulePattern(rule) {
+    const pattern = rule?.pattern || '';
+    if (!pattern || pattern.length > MAX_RULE_PATTERN_LENGTH) return null;
+
+    if (!rule.isRegex) {
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
     }
 
-    const prompt = buildAIPrompt(email);
+    if (!isSafeRulePattern(pattern)) return null;
 
     try {
-        const response = await axios.post(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
-            {
-                contents: [{
-                    parts: [{ text: prompt }]
-                }],
-                generationConfig: {
-                    temperature: 0.1,
-                    maxOutputTokens: 256,
-                    responseMimeType: 'application/json'
-                }
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
+        return new RegExp(pattern, 'i');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check that a user regex stays in the safe subset
+ * Counts the paths the pattern can take from one starting position; backtracking
+ * can't try more than that. Unbounded repeats, backreferences and lookarounds
+ * are rejected outright
+ * @param {string} pattern - Regex source
+ * @returns {boolean}
+ */
+function isSafeRulePattern(pattern) {
+    let index = 0;
+
+    // Each step returns its number of paths (Infinity when outside the subset)
+    const parseAlternation = () => {
+        let paths = parseSequence();
+        while (pattern[index] === '|') {
+            index++;
+            paths += parseSequence();
+        }
+        return paths;
+    };
+
+    const parseSequence = () => {
+        let paths = 1;
+        while (index < pattern.length && pattern[index] !== '|' && pattern[index] !== ')') {
+            paths *= parseRepeat(parseAtom());
+            if (paths > MAX_RULE_PATHS) return Infinity;
+        }
+        return paths;
+    };
+
+    const parseAtom = () => {
+        const char = pattern[index++];
+
+        if (char === '\\') {
+            const escaped = pattern[index++];
+            return escaped === undefined || /[1-9k]/.test(escaped) ? Infinity : 1;
+        }
+
+        if (char === '[') {
+            while (index < pattern.length && pattern[index] !== ']') {
+                if (pattern[index] === '\\') index++;
+                index++;
             }
-        );
+            index++;
+            return 1;
+        }
 
-        // Extract text from response
-        const responseText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (char === '(') {
+            if (pattern[index] === '?') {
+                if (pattern[index + 1] !== ':') return Infinity;
+                index += 2;
+            }
+            const paths = parseAlternation();
+            if (pattern[index] !== ')') return Infinity;
+            index++;
+            return paths;
+        }
 
-        if (!responseText) {
-            throw new Error('Empty response from Gemini');
+        // A quantifier with nothing to repeat, or a literal brace
+        return '*+?{'.includes(char) ? Infinity : 1;
+    };
+
+    const parseRepeat = (paths) => {
+        let min;
+        let max;
+
+        if (pattern[index] === '?') {
+            min = 0;
+            max = 1;
+            index++;
+        } else if (pattern[index] === '*' || pattern[index] === '+') {
+            return Infinity;
+        } else {
+            const match = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+            if (!match) return paths;
+            min = parseInt(match[1], 10);
+            max = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : min;
+            index += match[0].length;
         }
 
-        // Parse JSON response
-        const result = parseAIResponse(responseText);
+        // Lazy variant
+        if (pattern[index] === '?') index++;
 
-        return result;
+        if (max > MAX_RULE_REPEAT) return Infinity;
+
+        let total = 0;
+        for (let count = min; count <= max; count++) {
+            total += paths ** count;
+        }
+        return total;
+    };
+
+    return parseAlternation() <= MAX_RULE_PATHS && index === pattern.length;
+}
+
+/**
+ * Level 3: AI-based classification using the configured LLM backend (AI_BACKEND)
+ * @param {Object} email - Email object
+ * @returns {Promise<Object>} AI classification result
+ */
+async function aiClassify(email) {
+    const backend = llm.getConfiguredBackend();
+    if (!backend) {
+        throw new Error('AI backend not configured');
+    }
+
+    const prompt = buildAIPrompt(email);
+
+    try {
+        const responseText = await backend.complete(prompt);
+
+        // Parse JSON response
+        return parseAIResponse(responseText);
     } catch (error) {
-        logger.error('Gemini API error', {
+        logger.error(`${backend.displayName} API error`, {
             error: error.response?.data?.error?.message || error.message
         });
         throw error;
@@ -273,12 +504,16 @@ async function aiClassify(email) {
  * @returns {string} Prompt string
  */
 function buildAIPrompt(email) {
+    const links = (email.links || []).slice(0, 5).map(link => `- ${link.text}: ${link.url}`).join('\n');
+
     return `You are an email classifier for a college student. Analyze this email and determine if it's related to job placements or interviews.
 
 EMAIL DETAILS:
 From: ${email.from}
 Subject: ${email.subject}
 Content: ${email.snippet}
+Links:
+${links || '(none)'}
 
 CATEGORIES:
 - PLACEMENT_DRIVE: Campus placement announcements, recruitment drives
@@ -352,5 +587,9 @@ function parseAIResponse(responseText) {
 module.exports = {
     classifyEmail,
     keywordClassify,
-    CATEGORIES
+    compileRulePattern,
+    CATEGORIES,
+    MAX_RULE_PATTERN_LENGTH,
+    MAX_RULE_WEIGHT,
+    MAX_RULE_REPEAT
 };
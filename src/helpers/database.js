@@ -5,11 +5,36 @@
 
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
-const { User, Email, Session } = require('../models');
+const { User, Email, Session, TextModel } = require('../models');
+const providers = require('./providers');
+const secrets = require('../utils/secrets');
+const { DUPLICATE_WINDOW_MS, normalizeMessageId, getEmailFingerprint } = require('../utils/emailFingerprint');
+const textModel = require('../utils/textModel');
 
 // Failure alert cooldown (2 hours in milliseconds)
 const FAILURE_ALERT_COOLDOWN_MS = 2 * 60 * 60 * 1000;
 
+// Keyword rules a user can keep (/rules)
+const MAX_KEYWORD_RULES = 50;
+
+// Sender rules a user can keep (/senders)
+const MAX_SENDER_RULES = 100;
+
+// Classifier paths always listed in the precision stats, even before any feedback
+const FEEDBACK_METHODS = ['keyword', 'model', 'ai', 'keyword_fallback'];
+
+// Text model training: emails used (newest first) and the minimum to train at all
+const MAX_TRAINING_EMAILS = 5000;
+const MIN_TRAINING_EMAILS = 20;
+
+// How long a loaded text model is reused before checking for a retrained one
+const TEXT_MODEL_CACHE_MS = 10 * 60 * 1000;
+
+// Unlabelled alerts only count as examples when their category came from these paths
+const TRUSTED_TRAINING_METHODS = ['keyword', 'ai', 'sender'];
+
+let textModelCache = null; // { model, loadedAt }
+
 /**
  * Connect to MongoDB
  * @returns {Promise<void>}
@@ -24,12 +49,23 @@ async function connect() {
         });
 
         logger.info('Connected to MongoDB', { uri: uri.replace(/\/\/.*@/, '//***@') });
+
+        await migrateLegacyProviders();
+        await encryptStoredCredentials();
     } catch (error) {
         logger.error('MongoDB connection failed', { error: error.message });
         throw error;
     }
 }
 
+/**
+ * Close the MongoDB connection (for one-off scripts)
+ * @returns {Promise<void>}
+ */
+async function disconnect() {
+    await mongoose.disconnect();
+}
+
 /**
  * Check if connected to MongoDB
  * @returns {boolean}
@@ -40,6 +76,17 @@ function isConnected() {
 
 // ==================== USER OPERATIONS ====================
 
+/**
+ * Query matching active users with at least one enabled mailbox
+ * @returns {Object} MongoDB filter
+ */
+function activeUserFilter() {
+    return {
+        isActive: true,
+        mailboxes: { $elemMatch: { enabled: true } }
+    };
+}
+
 /**
  * Find or create user by Telegram chat ID
  * @param {Object} telegramUser - Telegram user object
@@ -78,84 +125,399 @@ async function getUserByChatId(chatId) {
  * @returns {Promise<Array>} Array of user documents
  */
 async function getActiveUsers() {
-    return User.find({
-        isActive: true,
-        $or: [
-            { 'providers.gmail.enabled': true },
-            { 'providers.outlook.enabled': true }
-        ]
-    });
+    return User.find(activeUserFilter());
+}
+
+/**
+ * Find active users that have a given mailbox connected and enabled
+ * The same account can be linked from more than one Telegram chat
+ * @param {string} provider - Provider ID
+ * @param {string} address - Mailbox address
+ * @returns {Promise<Array>} Array of { user, mailbox }
+ */
+async function findMailboxOwners(provider, address) {
+    const normalized = address.toLowerCase();
+    const match = { provider, address: normalized, enabled: true };
+
+    const users = await User.find({ isActive: true, mailboxes: { $elemMatch: match } });
+
+    return users.map(user => ({
+        user,
+        mailbox: user.mailboxes.find(m => m.provider === provider && m.address === normalized && m.enabled)
+    }));
+}
+
+/**
+ * Find the mailbox that owns a push subscription (Outlook change notifications)
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object|null>} { user, mailbox } or null
+ */
+async function findMailboxBySubscription(subscriptionId) {
+    const user = await User.findOne({ isActive: true, 'mailboxes.push.subscriptions.id': subscriptionId });
+    const mailbox = user?.mailboxes.find(m =>
+        (m.push?.subscriptions || []).some(sub => sub.id === subscriptionId)
+    );
+
+    return mailbox ? { user, mailbox } : null;
+}
+
+/**
+ * Flip a boolean user setting (missing values count as on)
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} path - Setting path, e.g. settings.categories.INTERVIEW
+ * @returns {Promise<Object|null>} Updated user
+ */
+async function toggleUserSetting(chatId, path) {
+    return User.findOneAndUpdate(
+        { telegramChatId: chatId.toString() },
+        [{ $set: { [path]: { $eq: [`$${path}`, false] } } }],
+        { new: true }
+    );
+}
+
+/**
+ * Set a user setting to a value
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} path - Setting path, e.g. settings.threadUpdates
+ * @param {*} value - New value
+ * @returns {Promise<Object|null>} Updated user
+ */
+async function setUserSetting(chatId, path, value) {
+    return User.findOneAndUpdate(
+        { telegramChatId: chatId.toString() },
+        { $set: { [path]: value } },
+        { new: true }
+    );
+}
+
+/**
+ * Get a mailbox sub-document from a user
+ * @param {Object} user - User document
+ * @param {string} mailboxId - Mailbox ID
+ * @returns {Object|null} Mailbox sub-document
+ */
+function getMailbox(user, mailboxId) {
+    return user?.mailboxes?.id(mailboxId) || null;
+}
+
+/**
+ * Encrypt the secret fields of a credentials object
+ * @param {Object} credentials - Credential fields
+ * @returns {Object} Credential fields ready to store
+ */
+function encryptCredentials(credentials) {
+    const encrypted = { ...credentials };
+
+    for (const field of providers.getSecretFields()) {
+        if (encrypted[field] !== undefined) {
+            encrypted[field] = secrets.encryptSecret(encrypted[field]);
+        }
+    }
+
+    return encrypted;
+}
+
+/**
+ * Get the decrypted credentials argument for a mailbox's adapter
+ * @param {Object} mailbox - Mailbox sub-document
+ * @returns {*} Credentials for fetchEmails/testConnection/watchMailbox
+ */
+function getMailboxCredentials(mailbox) {
+    const adapter = providers.getProvider(mailbox.provider);
+    const doc = typeof mailbox.toObject === 'function' ? mailbox.toObject() : { ...mailbox };
+
+    for (const field of providers.getSecretFields()) {
+        doc[field] = secrets.decryptSecret(doc[field]);
+    }
+
+    return adapter.getCredentials(doc);
 }
 
 /**
- * Update user's provider credentials
+ * Get the folder selection argument for a mailbox's adapter
+ * @param {Object} mailbox - Mailbox sub-document
+ * @returns {Object} { watched: [folderId], includeSpam } - empty watched = provider default
+ */
+function getMailboxFolders(mailbox) {
+    return {
+        watched: (mailbox.folders?.watched || []).map(folder => folder.id),
+        includeSpam: mailbox.folders?.includeSpam !== false
+    };
+}
+
+/**
+ * Add a mailbox, or update its credentials if the same account is already connected
  * @param {string} chatId - Telegram chat ID
- * @param {string} provider - Provider name (gmail/outlook)
- * @param {Object} credentials - Provider credentials
+ * @param {string} provider - Provider ID (see providers.js)
+ * @param {Object} credentials - Provider credentials (adapter credentialFields plus email)
  * @returns {Promise<Object>} Updated user
  */
-async function updateProviderCredentials(chatId, provider, credentials) {
-    const update = {
-        [`providers.${provider}.enabled`]: true,
-        [`providers.${provider}.refreshToken`]: credentials.refreshToken,
-        [`providers.${provider}.email`]: credentials.email || null,
-        [`providers.${provider}.connectedAt`]: new Date(),
-        [`providers.${provider}.lastError`]: null,
-        [`providers.${provider}.lastErrorAt`]: null
+async function upsertMailbox(chatId, provider, credentials) {
+    const { email, ...fields } = credentials;
+    const address = email ? email.toLowerCase() : null;
+
+    const mailboxFields = {
+        ...encryptCredentials(fields),
+        enabled: true,
+        connectedAt: new Date(),
+        lastError: null,
+        lastErrorCategory: null,
+        lastErrorAt: null
     };
 
-    const user = await User.findOneAndUpdate(
-        { telegramChatId: chatId.toString() },
-        { $set: update },
+    // Reconnecting an account already linked refreshes it in place
+    const $set = {};
+    for (const [key, value] of Object.entries(mailboxFields)) {
+        if (value === undefined) continue;
+        $set[`mailboxes.$.${key}`] = value;
+    }
+
+    let user = await User.findOneAndUpdate(
+        {
+            telegramChatId: chatId.toString(),
+            mailboxes: { $elemMatch: { provider, address } }
+        },
+        { $set },
         { new: true }
     );
 
-    logger.info('Provider credentials updated', { chatId, provider });
+    if (!user) {
+        user = await User.findOneAndUpdate(
+            { telegramChatId: chatId.toString() },
+            { $push: { mailboxes: { provider, address, ...mailboxFields } } },
+            { new: true }
+        );
+    }
+
+    logger.info('Mailbox credentials updated', { chatId, provider, address });
 
     return user;
 }
 
 /**
- * Record provider error
+ * Store updated credential fields for a mailbox (e.g. a rotated refresh token)
  * @param {string} chatId - Telegram chat ID
- * @param {string} provider - Provider name
- * @param {string} error - Error message
+ * @param {string} mailboxId - Mailbox ID
+ * @param {Object} credentials - Credential fields to overwrite
  */
-async function recordProviderError(chatId, provider, error) {
+async function updateMailboxCredentials(chatId, mailboxId, credentials) {
+    const $set = {};
+    for (const [key, value] of Object.entries(encryptCredentials(credentials))) {
+        $set[`mailboxes.$.${key}`] = value;
+    }
+
+    await User.updateOne(
+        { telegramChatId: chatId.toString(), 'mailboxes._id': mailboxId },
+        { $set }
+    );
+
+    logger.info('Mailbox credentials rotated', { chatId, mailboxId, fields: Object.keys(credentials) });
+}
+
+/**
+ * Remove a mailbox from a user
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox ID
+ * @returns {Promise<boolean>} True if a mailbox was removed
+ */
+async function removeMailbox(chatId, mailboxId) {
+    const result = await User.updateOne(
+        { telegramChatId: chatId.toString() },
+        { $pull: { mailboxes: { _id: mailboxId } } }
+    );
+
+    logger.info('Mailbox removed', { chatId, mailboxId });
+
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Add a classifier keyword rule for a user
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} rule - { pattern, isRegex, category, weight, negative }
+ * @returns {Promise<Object|null>} Updated user, or null if the user is at MAX_KEYWORD_RULES
+ */
+async function addKeywordRule(chatId, rule) {
+    return User.findOneAndUpdate(
+        {
+            telegramChatId: chatId.toString(),
+            [`keywordRules.${MAX_KEYWORD_RULES - 1}`]: { $exists: false }
+        },
+        { $push: { keywordRules: rule } },
+        { new: true }
+    );
+}
+
+/**
+ * Remove a classifier keyword rule
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} True if a rule was removed
+ */
+async function removeKeywordRule(chatId, ruleId) {
+    const result = await User.updateOne(
+        { telegramChatId: chatId.toString() },
+        { $pull: { keywordRules: { _id: ruleId } } }
+    );
+
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Add a sender rule for a user
+ * Replaces any rule for the same sender, so trusting a muted sender flips it
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} rule - { matchType, pattern, action, category }
+ * @returns {Promise<Object|null>} Updated user, or null if the user is at MAX_SENDER_RULES
+ */
+async function addSenderRule(chatId, rule) {
     await User.updateOne(
         { telegramChatId: chatId.toString() },
+        { $pull: { senderRules: { matchType: rule.matchType, pattern: rule.pattern } } }
+    );
+
+    return User.findOneAndUpdate(
+        {
+            telegramChatId: chatId.toString(),
+            [`senderRules.${MAX_SENDER_RULES - 1}`]: { $exists: false }
+        },
+        { $push: { senderRules: rule } },
+        { new: true }
+    );
+}
+
+/**
+ * Remove a sender rule
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} True if a rule was removed
+ */
+async function removeSenderRule(chatId, ruleId) {
+    const result = await User.updateOne(
+        { telegramChatId: chatId.toString() },
+        { $pull: { senderRules: { _id: ruleId } } }
+    );
+
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Record mailbox error
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox ID
+ * @param {string} error - Error message
+ * @param {string} category - Error category (see utils/providerErrors.js)
+ */
+async function recordMailboxError(chatId, mailboxId, error, category) {
+    await User.updateOne(
+        { telegramChatId: chatId.toString(), 'mailboxes._id': mailboxId },
         {
             $set: {
-                [`providers.${provider}.lastError`]: error,
-                [`providers.${provider}.lastErrorAt`]: new Date()
+                'mailboxes.$.lastError': error,
+                'mailboxes.$.lastErrorCategory': category,
+                'mailboxes.$.lastErrorAt': new Date()
             }
         }
     );
 }
 
 /**
- * Update last checked timestamp
+ * Stop checking a mailbox until it is reconnected
  * @param {string} chatId - Telegram chat ID
- * @param {string} provider - Provider name
+ * @param {string} mailboxId - Mailbox ID
+ * @returns {Promise<boolean>} True if the mailbox was enabled before
  */
-async function updateLastChecked(chatId, provider) {
+async function disableMailbox(chatId, mailboxId) {
+    const result = await User.updateOne(
+        { telegramChatId: chatId.toString(), mailboxes: { $elemMatch: { _id: mailboxId, enabled: true } } },
+        { $set: { 'mailboxes.$.enabled': false } }
+    );
+
+    logger.info('Mailbox disabled', { chatId, mailboxId });
+
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Update last checked timestamp (and the provider sync cursor, if given)
+ * A completed check also clears the last error
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox ID
+ * @param {Object|null} [syncState] - New sync state; undefined keeps the stored one
+ * @param {Array<Object>} [failedEmails] - Emails that failed this run ([{ messageId, attempts }])
+ */
+async function updateLastChecked(chatId, mailboxId, syncState, failedEmails) {
+    const $set = {
+        'mailboxes.$.lastChecked': new Date(),
+        'mailboxes.$.lastError': null,
+        'mailboxes.$.lastErrorCategory': null
+    };
+    if (syncState !== undefined) {
+        $set['mailboxes.$.syncState'] = syncState;
+    }
+    if (failedEmails !== undefined) {
+        $set['mailboxes.$.failedEmails'] = failedEmails;
+    }
+
     await User.updateOne(
-        { telegramChatId: chatId.toString() },
-        { $set: { [`lastChecked.${provider}`]: new Date() } }
+        { telegramChatId: chatId.toString(), 'mailboxes._id': mailboxId },
+        { $set }
+    );
+}
+
+/**
+ * Store the push registration state of a mailbox
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox ID
+ * @param {Object|null} push - State returned by the adapter's watchMailbox
+ */
+async function updatePushState(chatId, mailboxId, push) {
+    await User.updateOne(
+        { telegramChatId: chatId.toString(), 'mailboxes._id': mailboxId },
+        { $set: { 'mailboxes.$.push': push } }
+    );
+}
+
+/**
+ * Store the folders a mailbox is watched in
+ * Push registrations cover specific folders, so the stored one is marked for renewal
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox ID
+ * @param {Object} folders - { watched: [{ id, name }], includeSpam }
+ * @returns {Promise<boolean>} True if the mailbox was found
+ */
+async function updateMailboxFolders(chatId, mailboxId, folders) {
+    const user = await getUserByChatId(chatId);
+    const mailbox = getMailbox(user, mailboxId);
+    if (!mailbox) return false;
+
+    const $set = {
+        'mailboxes.$.folders.watched': folders.watched,
+        'mailboxes.$.folders.includeSpam': folders.includeSpam
+    };
+    if (mailbox.push) {
+        $set['mailboxes.$.push'] = { ...mailbox.push, expiresAt: null };
+    }
+
+    await User.updateOne(
+        { telegramChatId: chatId.toString(), 'mailboxes._id': mailboxId },
+        { $set }
     );
+    return true;
 }
 
 /**
  * Check if failure alert can be sent (rate limiting)
  * @param {string} chatId - Telegram chat ID
- * @param {string} provider - Provider name
+ * @param {string} mailboxId - Mailbox ID
  * @returns {Promise<boolean>}
  */
-async function canSendFailureAlert(chatId, provider) {
+async function canSendFailureAlert(chatId, mailboxId) {
     const user = await getUserByChatId(chatId);
-    if (!user) return false;
+    const mailbox = getMailbox(user, mailboxId);
+    if (!mailbox) return false;
 
-    const lastAlert = user.lastFailureAlert?.[provider];
+    const lastAlert = mailbox.lastFailureAlert;
     if (!lastAlert) return true;
 
     return (Date.now() - lastAlert.getTime()) >= FAILURE_ALERT_COOLDOWN_MS;
@@ -164,15 +526,135 @@ async function canSendFailureAlert(chatId, provider) {
 /**
  * Record failure alert sent
  * @param {string} chatId - Telegram chat ID
- * @param {string} provider - Provider name
+ * @param {string} mailboxId - Mailbox ID
  */
-async function recordFailureAlert(chatId, provider) {
+async function recordFailureAlert(chatId, mailboxId) {
     await User.updateOne(
-        { telegramChatId: chatId.toString() },
-        { $set: { [`lastFailureAlert.${provider}`]: new Date() } }
+        { telegramChatId: chatId.toString(), 'mailboxes._id': mailboxId },
+        { $set: { 'mailboxes.$.lastFailureAlert': new Date() } }
     );
 }
 
+// ==================== MIGRATIONS ====================
+
+/**
+ * Move single-account `providers.<id>` sub-documents into the mailboxes list
+ * Runs on every connect; only touches documents that still have the old layout
+ */
+async function migrateLegacyProviders() {
+    const legacyUsers = await User.collection
+        .find({ providers: { $exists: true } })
+        .toArray();
+
+    if (legacyUsers.length === 0) return;
+
+    for (const legacy of legacyUsers) {
+        const mailboxes = [];
+
+        for (const adapter of providers.listProviders()) {
+            const old = legacy.providers?.[adapter.id];
+            if (!old || !adapter.hasCredentials(old)) continue;
+
+            const credentials = {};
+            for (const key of Object.keys(adapter.credentialFields)) {
+                if (old[key] !== undefined) credentials[key] = old[key];
+            }
+
+            mailboxes.push({
+                _id: new mongoose.Types.ObjectId(),
+                provider: adapter.id,
+                address: old.email ? old.email.toLowerCase() : null,
+                enabled: !!old.enabled,
+                ...credentials,
+                connectedAt: old.connectedAt || new Date(),
+                lastChecked: legacy.lastChecked?.[adapter.id] || null,
+                lastError: old.lastError || null,
+                lastErrorAt: old.lastErrorAt || null,
+                lastFailureAlert: legacy.lastFailureAlert?.[adapter.id] || null
+            });
+        }
+
+        await User.collection.updateOne(
+            { _id: legacy._id, providers: { $exists: true } },
+            {
+                $push: { mailboxes: { $each: mailboxes } },
+                $unset: { providers: '', lastChecked: '', lastFailureAlert: '' }
+            }
+        );
+    }
+
+    logger.info('Migrated legacy provider accounts to mailboxes', { users: legacyUsers.length });
+}
+
+/**
+ * Re-encrypt stored secrets that don't match a pattern
+ * Each value is swapped only if it is still the one that was read
+ * @param {RegExp} upToDate - Matches values that need no change
+ * @param {Function} transform - Maps a stored value to its replacement
+ * @returns {Promise<number>} Number of values updated
+ */
+async function reencryptCredentials(upToDate, transform) {
+    const fields = providers.getSecretFields();
+
+    const users = await User.collection
+        .find({ $or: fields.map(field => ({ [`mailboxes.${field}`]: { $type: 'string', $not: upToDate } })) })
+        .toArray();
+
+    let updated = 0;
+
+    for (const user of users) {
+        for (const mailbox of user.mailboxes || []) {
+            for (const field of fields) {
+                const value = mailbox[field];
+                if (typeof value !== 'string' || upToDate.test(value)) continue;
+
+                const result = await User.collection.updateOne(
+                    { _id: user._id, mailboxes: { $elemMatch: { _id: mailbox._id, [field]: value } } },
+                    { $set: { [`mailboxes.$.${field}`]: transform(value) } }
+                );
+                updated += result.modifiedCount;
+            }
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * Encrypt credentials still stored in plain text
+ * Runs on every connect; does nothing until TOKEN_ENCRYPTION_KEY is set
+ */
+async function encryptStoredCredentials() {
+    if (!secrets.isEncryptionEnabled()) return;
+
+    const encryptedPrefix = new RegExp(`^${secrets.ENCRYPTED_PREFIX}`);
+    const updated = await reencryptCredentials(encryptedPrefix, secrets.encryptSecret);
+
+    if (updated > 0) {
+        logger.info('Encrypted plaintext mailbox credentials', { values: updated });
+    }
+}
+
+/**
+ * Re-wrap every stored secret with the current encryption key
+ * Old keys must still be listed in TOKEN_ENCRYPTION_OLD_KEYS while this runs
+ * @returns {Promise<number>} Number of values updated
+ */
+async function rotateCredentialKeys() {
+    const keyId = secrets.getCurrentKeyId();
+    if (!keyId) {
+        throw new Error('TOKEN_ENCRYPTION_KEY is not configured');
+    }
+
+    const escapedKeyId = keyId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const currentKey = new RegExp(`^${secrets.ENCRYPTED_PREFIX}${escapedKeyId}:`);
+    const updated = await reencryptCredentials(currentKey, secrets.rewrapSecret);
+
+    logger.info('Rotated mailbox credential keys', { keyId, values: updated });
+
+    return updated;
+}
+
 // ==================== EMAIL OPERATIONS ====================
 
 /**
@@ -193,14 +675,18 @@ async function isEmailNotified(chatId, provider, messageId) {
 }
 
 /**
- * Save email and mark as notified
+ * Save an important email before it is notified
+ * The document ID is what notification buttons refer to; markEmailNotified
+ * is called once the Telegram message went out
  * @param {Object} user - User document
+ * @param {Object} mailbox - Mailbox the email was fetched from
  * @param {Object} email - Email data
  * @param {Object} classification - Classification result
  * @returns {Promise<Object>} Saved email document
  */
-async function saveEmail(user, email, classification) {
-    const uniqueId = `${email.provider}_${email.messageId}`;
+async function saveEmail(user, mailbox, email, classification) {
+    // Scoped per chat: IMAP message IDs are RFC Message-ID headers shared by every recipient
+    const uniqueId = `${user.telegramChatId}_${email.provider}_${email.messageId}`;
 
     const emailDoc = await Email.findOneAndUpdate(
         { uniqueId },
@@ -209,7 +695,10 @@ async function saveEmail(user, email, classification) {
                 userId: user._id,
                 telegramChatId: user.telegramChatId,
                 provider: email.provider,
+                mailboxId: mailbox._id,
                 messageId: email.messageId,
+                rfcMessageId: normalizeMessageId(email.rfcMessageId),
+                fingerprint: getEmailFingerprint(email),
                 threadId: email.threadId || null,
                 uniqueId,
                 subject: email.subject,
@@ -218,7 +707,10 @@ async function saveEmail(user, email, classification) {
                 snippet: email.snippet,
                 body: email.body,
                 webLink: email.webLink,
+                isSpam: !!email.isSpam,
                 receivedAt: email.date,
+                attachments: email.attachments || [],
+                links: email.links || [],
                 createdAt: new Date()
             },
             $set: {
@@ -228,9 +720,7 @@ async function saveEmail(user, email, classification) {
                     confidence: classification.confidence,
                     reason: classification.reason,
                     method: classification.method
-                },
-                notified: true,
-                notifiedAt: new Date()
+                }
             }
         },
         { upsert: true, new: true }
@@ -239,6 +729,167 @@ async function saveEmail(user, email, classification) {
     return emailDoc;
 }
 
+/**
+ * Mark a saved email as notified
+ * @param {string} emailId - Email document ID
+ * @param {number|null} telegramMessageId - Alert the email was sent in or folded into
+ * @param {string|null} threadRootId - Thread root it was attached to (null = it is a root)
+ */
+async function markEmailNotified(emailId, telegramMessageId = null, threadRootId = null) {
+    await Email.updateOne(
+        { _id: emailId },
+        { $set: { notified: true, notifiedAt: new Date(), telegramMessageId, threadRootId } }
+    );
+}
+
+/**
+ * Find an already alerted copy of an email in another of the user's mailboxes
+ * Matches on Message-ID; when either copy has none, on subject + sender within
+ * DUPLICATE_WINDOW_MS of each other
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox the email was fetched from
+ * @param {Object} email - Fetched email
+ * @returns {Promise<Object|null>} Original email document
+ */
+async function findDuplicateEmail(chatId, mailboxId, email) {
+    const rfcMessageId = normalizeMessageId(email.rfcMessageId);
+    const receivedAt = new Date(email.date).getTime();
+
+    const byFingerprint = {
+        fingerprint: getEmailFingerprint(email),
+        receivedAt: { $gte: new Date(receivedAt - DUPLICATE_WINDOW_MS), $lte: new Date(receivedAt + DUPLICATE_WINDOW_MS) }
+    };
+
+    const $or = rfcMessageId
+        ? [{ rfcMessageId }, { ...byFingerprint, rfcMessageId: null }]
+        : [byFingerprint];
+
+    return Email.findOne({
+        telegramChatId: chatId.toString(),
+        mailboxId: { $ne: mailboxId },
+        notified: true,
+        duplicateOf: null,
+        $or
+    }).sort({ notifiedAt: 1 });
+}
+
+/**
+ * Record a copy of an alerted email instead of alerting it again
+ * @param {Object} original - Original email document
+ * @param {Object} emailDoc - Saved copy
+ * @param {Object} mailbox - Mailbox the copy was fetched from
+ * @returns {Promise<Object|null>} Updated original email document
+ */
+async function recordDuplicate(original, emailDoc, mailbox) {
+    await Email.updateOne(
+        { _id: emailDoc._id },
+        {
+            $set: {
+                notified: true,
+                notifiedAt: new Date(),
+                telegramMessageId: original.telegramMessageId,
+                duplicateOf: original._id
+            }
+        }
+    );
+
+    return Email.findOneAndUpdate(
+        { _id: original._id, 'duplicates.emailId': { $ne: emailDoc._id } },
+        {
+            $push: {
+                duplicates: {
+                    emailId: emailDoc._id,
+                    mailboxId: mailbox._id,
+                    provider: mailbox.provider,
+                    address: mailbox.address
+                }
+            }
+        },
+        { new: true }
+    );
+}
+
+/**
+ * Find the alert a follow-up in the same thread should attach to
+ * The newest root wins, so a thread whose first alert could no longer be edited
+ * continues from the alert that replaced it
+ * @param {Object} emailDoc - Saved email document
+ * @returns {Promise<Object|null>} Root email document
+ */
+async function getThreadRoot(emailDoc) {
+    if (!emailDoc.threadId) return null;
+
+    return Email.findOne({
+        telegramChatId: emailDoc.telegramChatId,
+        mailboxId: emailDoc.mailboxId,
+        threadId: emailDoc.threadId,
+        _id: { $ne: emailDoc._id },
+        notified: true,
+        threadRootId: null,
+        duplicateOf: null,
+        telegramMessageId: { $ne: null }
+    }).sort({ notifiedAt: -1 });
+}
+
+/**
+ * Record a follow-up on its thread's root email
+ * Safe to repeat when a failed notification is retried on the next run
+ * @param {string} rootId - Root email document ID
+ * @param {Object} emailDoc - Follow-up email document
+ * @returns {Promise<Object|null>} Updated root email document
+ */
+async function addThreadUpdate(rootId, emailDoc) {
+    const root = await Email.findOneAndUpdate(
+        { _id: rootId, 'threadUpdates.emailId': { $ne: emailDoc._id } },
+        {
+            $push: {
+                threadUpdates: {
+                    emailId: emailDoc._id,
+                    subject: emailDoc.subject,
+                    from: emailDoc.from,
+                    snippet: emailDoc.snippet,
+                    receivedAt: emailDoc.receivedAt
+                }
+            }
+        },
+        { new: true }
+    );
+
+    return root || Email.findById(rootId);
+}
+
+/**
+ * Get a saved email belonging to a chat
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} emailId - Email document ID
+ * @returns {Promise<Object|null>}
+ */
+async function getEmailById(chatId, emailId) {
+    return Email.findOne({ _id: emailId, telegramChatId: chatId.toString() });
+}
+
+/**
+ * Record the user's feedback on an alerted email
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} emailId - Email document ID
+ * @param {string} label - 'correct', 'not_important' or 'wrong_category'
+ * @param {string|null} correctedCategory - Category it should have had (wrong_category only)
+ * @returns {Promise<Object|null>} Updated email document, or null if it doesn't belong to the chat
+ */
+async function recordFeedback(chatId, emailId, label, correctedCategory = null) {
+    return Email.findOneAndUpdate(
+        { _id: emailId, telegramChatId: chatId.toString() },
+        {
+            $set: {
+                'feedback.label': label,
+                'feedback.correctedCategory': correctedCategory,
+                'feedback.labelledAt': new Date()
+            }
+        },
+        { new: true }
+    );
+}
+
 /**
  * Get user's email history
  * @param {string} chatId - Telegram chat ID
@@ -311,6 +962,26 @@ async function getSessionByOAuthState(oauthState) {
     return Session.findOne({ oauthState });
 }
 
+/**
+ * Take an OAuth state out of its session so it can't be used again
+ * @param {string} oauthState - OAuth state parameter
+ * @returns {Promise<Object|null>} Session as it was before the state was cleared
+ */
+async function consumeOAuthState(oauthState) {
+    return Session.findOneAndUpdate(
+        { oauthState },
+        {
+            $set: {
+                oauthState: null,
+                oauthProvider: null,
+                oauthStateExpiresAt: null,
+                oauthCodeVerifier: null
+            }
+        },
+        { new: false }
+    );
+}
+
 /**
  * Clear session
  * @param {string} chatId - Telegram chat ID
@@ -319,54 +990,206 @@ async function clearSession(chatId) {
     await Session.deleteOne({ telegramChatId: chatId.toString() });
 }
 
+// ==================== TEXT MODEL ====================
+
+/**
+ * Get the trained text model (cached for TEXT_MODEL_CACHE_MS)
+ * @returns {Promise<Object|null>} Model, or null if none has been trained
+ */
+async function getTextModel() {
+    if (textModelCache && Date.now() - textModelCache.loadedAt < TEXT_MODEL_CACHE_MS) {
+        return textModelCache.model;
+    }
+
+    try {
+        const model = await TextModel.findOne({ name: 'default' }).lean();
+        textModelCache = { model, loadedAt: Date.now() };
+        return model;
+    } catch (error) {
+        logger.warn('Failed to load text model', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Category an email should be learned as, or null to leave it out
+ * Feedback wins; otherwise alerts the user didn't object to count as right
+ * @param {Object} emailDoc - Email document
+ * @returns {string|null}
+ */
+function getTrainingCategory(emailDoc) {
+    const { feedback, classification } = emailDoc;
+
+    switch (feedback?.label) {
+        case 'correct':
+            return classification.category;
+        case 'wrong_category':
+            return feedback.correctedCategory;
+        case 'not_important':
+            return 'OTHER';
+        default:
+            return classification?.important && TRUSTED_TRAINING_METHODS.includes(classification.method)
+                ? classification.category
+                : null;
+    }
+}
+
+/**
+ * Retrain the text model from stored emails and feedback
+ * @returns {Promise<Object>} { trained, documents, categories }
+ */
+async function retrainTextModel() {
+    const examples = [];
+
+    const cursor = Email.find({ duplicateOf: null })
+        .select('subject snippet body from links classification feedback')
+        .sort({ receivedAt: -1 })
+        .limit(MAX_TRAINING_EMAILS)
+        .lean()
+        .cursor();
+
+    for await (const emailDoc of cursor) {
+        const category = getTrainingCategory(emailDoc);
+        if (category) examples.push({ email: emailDoc, category });
+    }
+
+    const categories = {};
+    for (const { category } of examples) {
+        categories[category] = (categories[category] || 0) + 1;
+    }
+
+    if (examples.length < MIN_TRAINING_EMAILS || Object.keys(categories).length < 2) {
+        logger.warn('Not enough labelled emails to train the text model', { documents: examples.length, categories });
+        return { trained: false, documents: examples.length, categories };
+    }
+
+    if (!textModel.hasEnoughNegatives(categories)) {
+        logger.warn('Too few 👎 emails to train the text model', { documents: examples.length, categories });
+        return { trained: false, documents: examples.length, categories };
+    }
+
+    const model = textModel.trainModel(examples);
+
+    await TextModel.findOneAndUpdate(
+        { name: 'default' },
+        { ...model, name: 'default', trainedAt: new Date() },
+        { upsert: true }
+    );
+
+    textModelCache = null;
+
+    logger.info('Text model trained', { documents: examples.length, vocabulary: model.vocabularySize, categories });
+
+    return { trained: true, documents: examples.length, categories };
+}
+
 // ==================== STATS ====================
 
+/**
+ * Precision of each classifier path, from alerts the user gave feedback on
+ * Only 👍 counts as correct; 👎 and wrong category are false positives
+ * @returns {Promise<Object>} { [method]: { labelled, correct, notImportant, wrongCategory, precision } }
+ */
+async function getFeedbackPrecision() {
+    const groups = await Email.aggregate([
+        { $match: { 'feedback.label': { $ne: null } } },
+        {
+            $group: {
+                _id: '$classification.method',
+                labelled: { $sum: 1 },
+                correct: { $sum: { $cond: [{ $eq: ['$feedback.label', 'correct'] }, 1, 0] } },
+                notImportant: { $sum: { $cond: [{ $eq: ['$feedback.label', 'not_important'] }, 1, 0] } },
+                wrongCategory: { $sum: { $cond: [{ $eq: ['$feedback.label', 'wrong_category'] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    const precision = {};
+    for (const method of FEEDBACK_METHODS) {
+        precision[method] = { labelled: 0, correct: 0, notImportant: 0, wrongCategory: 0, precision: null };
+    }
+
+    for (const { _id: method, ...counts } of groups) {
+        precision[method || 'keyword'] = {
+            ...counts,
+            precision: Math.round((counts.correct / counts.labelled) * 1000) / 1000
+        };
+    }
+
+    return precision;
+}
+
 /**
  * Get database statistics
  * @returns {Promise<Object>}
  */
 async function getStats() {
-    const [userCount, activeUserCount, emailCount, importantEmailCount] = await Promise.all([
+    const [userCount, activeUserCount, emailCount, importantEmailCount, precision] = await Promise.all([
         User.countDocuments(),
-        User.countDocuments({
-            isActive: true,
-            $or: [
-                { 'providers.gmail.enabled': true },
-                { 'providers.outlook.enabled': true }
-            ]
-        }),
+        User.countDocuments(activeUserFilter()),
         Email.countDocuments(),
-        Email.countDocuments({ 'classification.important': true })
+        Email.countDocuments({ 'classification.important': true }),
+        getFeedbackPrecision()
     ]);
 
     return {
         users: userCount,
         activeUsers: activeUserCount,
         emails: emailCount,
-        importantEmails: importantEmailCount
+        importantEmails: importantEmailCount,
+        precision // Per classifier method, from 👍/👎 feedback
     };
 }
 
 module.exports = {
     connect,
+    disconnect,
     isConnected,
     // User operations
     findOrCreateUser,
     getUserByChatId,
     getActiveUsers,
-    updateProviderCredentials,
-    recordProviderError,
+    findMailboxOwners,
+    findMailboxBySubscription,
+    toggleUserSetting,
+    setUserSetting,
+    getMailbox,
+    getMailboxCredentials,
+    getMailboxFolders,
+    upsertMailbox,
+    updateMailboxCredentials,
+    removeMailbox,
+    recordMailboxError,
+    disableMailbox,
     updateLastChecked,
+    updatePushState,
+    updateMailboxFolders,
+    addKeywordRule,
+    removeKeywordRule,
+    addSenderRule,
+    removeSenderRule,
     canSendFailureAlert,
     recordFailureAlert,
+    rotateCredentialKeys,
     // Email operations
     isEmailNotified,
     saveEmail,
+    markEmailNotified,
+    findDuplicateEmail,
+    recordDuplicate,
+    getThreadRoot,
+    addThreadUpdate,
+    getEmailById,
+    recordFeedback,
     getUserEmails,
+    // Text model
+    getTextModel,
+    retrainTextModel,
     // Session operations
     getOrCreateSession,
     updateSession,
     getSessionByOAuthState,
+    consumeOAuthState,
     clearSession,
     // Stats
     getStats
@@ -1,11 +1,28 @@
 /**
  * Gmail Helper
  * Handles OAuth token refresh and fetching emails from Gmail API
- * Fetches from both Inbox and Spam folders
+ * Fetches from Inbox (or the labels picked with /folders) and Spam
  */
 
 const { google } = require('googleapis');
 const logger = require('../utils/logger');
+const { getFetchLimits } = require('../utils/fetchLimits');
+const { htmlToText, extractPlainLinks } = require('../utils/htmlToText');
+
+// Folder selection when the mailbox has none stored: default search + Spam
+const DEFAULT_FOLDERS = { watched: [], includeSpam: true };
+
+// System labels offered by /folders (user labels are always offered)
+const SYSTEM_LABEL_NAMES = {
+    INBOX: 'Inbox',
+    CATEGORY_PERSONAL: 'Primary',
+    CATEGORY_UPDATES: 'Updates',
+    CATEGORY_PROMOTIONS: 'Promotions',
+    CATEGORY_SOCIAL: 'Social',
+    CATEGORY_FORUMS: 'Forums',
+    IMPORTANT: 'Important',
+    STARRED: 'Starred'
+};
 
 /**
  * Create OAuth2 client with credentials
@@ -24,6 +41,7 @@ function createOAuth2Client(redirectUri = null) {
 
 /**
  * Get access token using refresh token
+ * Any new refresh token Google hands out is kept on client.rotatedRefreshToken
  * @param {string} refreshToken - User's refresh token
  * @returns {Promise<google.auth.OAuth2>} Authenticated OAuth2 client
  */
@@ -33,18 +51,52 @@ async function getAuthenticatedClient(refreshToken) {
         refresh_token: refreshToken
     });
 
+    oauth2Client.on('tokens', (tokens) => {
+        if (tokens.refresh_token && tokens.refresh_token !== refreshToken) {
+            oauth2Client.rotatedRefreshToken = tokens.refresh_token;
+        }
+    });
+
     // Force token refresh to ensure we have a valid access token
     await oauth2Client.getAccessToken();
 
     return oauth2Client;
 }
 
+/**
+ * Credentials to store after using an authenticated client
+ * @param {google.auth.OAuth2} auth - Client from getAuthenticatedClient
+ * @returns {Object|null} { refreshToken } when Google rotated it, otherwise null
+ */
+function getRotatedCredentials(auth) {
+    return auth.rotatedRefreshToken ? { refreshToken: auth.rotatedRefreshToken } : null;
+}
+
+/**
+ * Check whether a stored provider document has usable credentials
+ * @param {Object} doc - Stored provider document
+ * @returns {boolean}
+ */
+function hasCredentials(doc) {
+    return !!doc?.refreshToken;
+}
+
+/**
+ * Get the credentials argument for fetchEmails/testConnection
+ * @param {Object} doc - Stored provider document
+ * @returns {string} Refresh token
+ */
+function getCredentials(doc) {
+    return doc.refreshToken;
+}
+
 /**
  * Generate authorization URL
  * @param {string} state - State parameter for CSRF protection
+ * @param {string} codeChallenge - PKCE S256 code challenge
  * @returns {string} Authorization URL
  */
-function getAuthUrl(state = '') {
+function getAuthUrl(state, codeChallenge) {
     const oauth2Client = createOAuth2Client();
 
     return oauth2Client.generateAuthUrl({
@@ -53,19 +105,22 @@ function getAuthUrl(state = '') {
             'https://www.googleapis.com/auth/gmail.readonly',
             'https://www.googleapis.com/auth/userinfo.email'
         ],
-        prompt: 'consent', // Force consent to get refresh token
-        state: state
+        prompt: 'consent select_account', // Force consent to get refresh token, let user pick among signed-in accounts
+        state: state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
     });
 }
 
 /**
  * Exchange authorization code for tokens
  * @param {string} code - Authorization code from OAuth callback
+ * @param {string} codeVerifier - PKCE code verifier the challenge was derived from
  * @returns {Promise<Object>} Tokens and user info
  */
-async function exchangeCodeForTokens(code) {
+async function exchangeCodeForTokens(code, codeVerifier) {
     const oauth2Client = createOAuth2Client();
-    const { tokens } = await oauth2Client.getToken(code);
+    const { tokens } = await oauth2Client.getToken({ code, codeVerifier });
 
     // Get user email
     oauth2Client.setCredentials(tokens);
@@ -80,12 +135,16 @@ async function exchangeCodeForTokens(code) {
 }
 
 /**
- * Fetch emails from Gmail for a user (Inbox + Spam)
+ * Fetch emails from Gmail for a user (watched labels, or the default search, + Spam)
+ * Uses the History API when a historyId from the previous sync is available,
+ * otherwise (first run or expired history) falls back to a bounded search
  * @param {string} refreshToken - User's Gmail refresh token
- * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms)
- * @returns {Promise<Array>} Array of email objects
+ * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms), used by the full scan
+ * @param {Object|null} syncState - State returned by the previous sync ({ historyId })
+ * @param {Object} folders - { watched: [labelId], includeSpam }
+ * @returns {Promise<Object>} { emails, syncState, truncated, failedIds, credentials }
  */
-async function fetchEmails(refreshToken, sinceTimestamp) {
+async function fetchEmails(refreshToken, sinceTimestamp, syncState = null, folders = DEFAULT_FOLDERS) {
     if (!refreshToken) {
         throw new Error('No refresh token provided');
     }
@@ -93,78 +152,262 @@ async function fetchEmails(refreshToken, sinceTimestamp) {
     const auth = await getAuthenticatedClient(refreshToken);
     const gmail = google.gmail({ version: 'v1', auth });
 
+    // Read first, so nothing arriving during a full scan is skipped next time
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+
+    let result = null;
+
+    if (syncState?.historyId) {
+        try {
+            result = await fetchFromHistory(gmail, syncState.historyId, folders);
+        } catch (error) {
+            if (!isHistoryExpired(error)) throw error;
+            logger.warn('Gmail history expired, falling back to full scan', { historyId: syncState.historyId });
+        }
+    }
+
+    if (!result) {
+        result = await fetchFullScan(gmail, sinceTimestamp, folders, profile.data.historyId, syncState);
+    }
+
+    for (const email of result.emails) {
+        email.webLink = getWebLink(profile.data.emailAddress, email.messageId);
+    }
+
+    return {
+        ...result,
+        credentials: getRotatedCredentials(auth)
+    };
+}
+
+/**
+ * Link that opens a message in Gmail's web UI
+ * authuser picks the right account when several are signed in, and the "all" view
+ * finds messages that aren't in the Inbox
+ * @param {string} address - Mailbox address
+ * @param {string} messageId - Gmail message ID
+ * @returns {string}
+ */
+function getWebLink(address, messageId) {
+    return `https://mail.google.com/mail/?authuser=${encodeURIComponent(address)}#all/${messageId}`;
+}
+
+/**
+ * Check whether an API error means the stored historyId is too old
+ * @param {Error} error - Gmail API error
+ * @returns {boolean}
+ */
+function isHistoryExpired(error) {
+    return error.code === 404 || error.response?.status === 404;
+}
+
+/**
+ * Incremental sync: messages added since the given history ID
+ * Stops at the per-run ceiling; the returned historyId then points at the last
+ * record taken so the next run picks up the rest
+ * @param {Object} gmail - Gmail API client
+ * @param {string} startHistoryId - historyId from the previous sync
+ * @param {Object} folders - { watched: [labelId], includeSpam }
+ * @returns {Promise<Object>} { emails, syncState, truncated, failedIds }
+ */
+async function fetchFromHistory(gmail, startHistoryId, folders) {
+    const { pageSize, maxMessages } = getFetchLimits();
+    const messageIds = new Set();
+    let historyId = startHistoryId;
+    let truncated = false;
+    let pageToken;
+
+    do {
+        const response = await gmail.users.history.list({
+            userId: 'me',
+            startHistoryId,
+            historyTypes: ['messageAdded'],
+            maxResults: pageSize,
+            pageToken
+        });
+
+        for (const record of response.data.history || []) {
+            const recordIds = (record.messagesAdded || [])
+                .filter(added => isWatchedMessage(added.message, folders))
+                .map(added => added.message.id);
+
+            if (messageIds.size + recordIds.length > maxMessages && messageIds.size > 0) {
+                truncated = true;
+                break;
+            }
+
+            recordIds.forEach(id => messageIds.add(id));
+            historyId = record.id;
+        }
+
+        if (truncated) break;
+
+        historyId = response.data.historyId || historyId;
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    if (truncated) {
+        logger.warn('Gmail history fetch hit the per-run ceiling', { maxMessages, resumeFrom: historyId });
+    }
+
+    const { emails, failedIds } = await fetchMessages(gmail, [...messageIds]);
+
+    logger.info(`Found ${emails.length} new emails from Gmail history`);
+
+    return { emails, syncState: { historyId }, truncated, failedIds };
+}
+
+/**
+ * Whether a history message belongs to the mail we scan (watched labels or Inbox/archive, + Spam)
+ * Drafts, trash and mail the user sent themselves are skipped
+ * @param {Object} message - History message ({ id, labelIds })
+ * @param {Object} folders - { watched: [labelId], includeSpam }
+ * @returns {boolean}
+ */
+function isWatchedMessage(message, folders) {
+    const labels = message?.labelIds || [];
+    if (labels.includes('DRAFT') || labels.includes('TRASH')) return false;
+    if (labels.includes('SPAM')) return folders.includeSpam;
+    if (labels.includes('SENT') && !labels.includes('INBOX')) return false;
+    return folders.watched.length === 0 || folders.watched.some(labelId => labels.includes(labelId));
+}
+
+/**
+ * Full scan of the watched labels (or the default search) and Spam inside the lookback window
+ * The new historyId is only handed out when every label was read in full; otherwise the
+ * previous sync state is kept so the next run scans again instead of skipping what was missed
+ * @param {Object} gmail - Gmail API client
+ * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms)
+ * @param {Object} folders - { watched: [labelId], includeSpam }
+ * @param {string} historyId - Mailbox historyId read before the scan started
+ * @param {Object|null} previousSyncState - Sync state the scan started from
+ * @returns {Promise<Object>} { emails, syncState, truncated, failedIds }
+ */
+async function fetchFullScan(gmail, sinceTimestamp, folders, historyId, previousSyncState = null) {
     // Calculate the "after" date for Gmail query (seconds)
     const afterDate = Math.floor(sinceTimestamp / 1000);
 
     logger.debug('Gmail query', { since: new Date(sinceTimestamp).toISOString() });
 
     const allEmails = [];
+    const failedIds = [];
+    let truncated = false;
+    let failed = false;
 
-    // Fetch from Inbox (default query)
-    try {
-        const inboxEmails = await fetchFromLabel(gmail, afterDate, null);
-        allEmails.push(...inboxEmails);
-        logger.info(`Found ${inboxEmails.length} emails from Gmail Inbox`);
-    } catch (error) {
-        logger.error('Failed to fetch Gmail Inbox', { error: error.message });
+    // Fetch from the watched labels, or Inbox/archive (default query)
+    const labelIds = folders.watched.length > 0 ? folders.watched : [null];
+    const seen = new Set();
+
+    for (const labelId of labelIds) {
+        try {
+            const label = await fetchFromLabel(gmail, afterDate, labelId);
+            // A message can carry several watched labels
+            const labelEmails = label.emails.filter(email => !seen.has(email.messageId));
+            labelEmails.forEach(email => seen.add(email.messageId));
+            truncated = truncated || label.truncated;
+            allEmails.push(...labelEmails);
+            failedIds.push(...label.failedIds.filter(id => !seen.has(id)));
+            label.failedIds.forEach(id => seen.add(id));
+            logger.info(`Found ${labelEmails.length} emails from Gmail ${labelId || 'Inbox'}`);
+        } catch (error) {
+            failed = true;
+            logger.error(`Failed to fetch Gmail ${labelId || 'Inbox'}`, { error: error.message });
+        }
     }
 
     // Fetch from Spam folder
-    try {
-        const spamEmails = await fetchFromLabel(gmail, afterDate, 'SPAM');
-        // Mark spam emails so we can flag them in notification
-        spamEmails.forEach(email => {
-            email.isSpam = true;
-        });
-        allEmails.push(...spamEmails);
-        if (spamEmails.length > 0) {
-            logger.info(`Found ${spamEmails.length} emails from Gmail Spam`);
+    if (folders.includeSpam) {
+        try {
+            const spam = await fetchFromLabel(gmail, afterDate, 'SPAM');
+            const spamEmails = spam.emails;
+            truncated = truncated || spam.truncated;
+            failedIds.push(...spam.failedIds);
+            // Mark spam emails so we can flag them in notification
+            spamEmails.forEach(email => {
+                email.isSpam = true;
+            });
+            allEmails.push(...spamEmails);
+            if (spamEmails.length > 0) {
+                logger.info(`Found ${spamEmails.length} emails from Gmail Spam`);
+            }
+        } catch (error) {
+            failed = true;
+            logger.warn('Failed to fetch Gmail Spam', { error: error.message });
         }
-    } catch (error) {
-        logger.warn('Failed to fetch Gmail Spam', { error: error.message });
     }
 
-    return allEmails;
+    return {
+        emails: allEmails,
+        syncState: truncated || failed ? previousSyncState : { historyId },
+        truncated,
+        failedIds
+    };
 }
 
 /**
  * Fetch emails from a specific label/folder
+ * Pages through every result in the window, up to the per-run ceiling
  * @param {Object} gmail - Gmail API client
  * @param {number} afterDate - Unix timestamp in seconds
  * @param {string|null} labelId - Label ID (null for default search)
- * @returns {Promise<Array>} Array of email objects
+ * @returns {Promise<Object>} { emails, truncated, failedIds }
  */
 async function fetchFromLabel(gmail, afterDate, labelId) {
+    const { pageSize, maxMessages } = getFetchLimits();
     const query = `after:${afterDate}`;
 
-    const listParams = {
-        userId: 'me',
-        q: query,
-        maxResults: 50
-    };
+    const messageIds = [];
+    let pageToken;
 
-    // If specific label requested, add it
-    if (labelId) {
-        listParams.labelIds = [labelId];
-    }
+    do {
+        const listParams = {
+            userId: 'me',
+            q: query,
+            maxResults: Math.min(pageSize, maxMessages - messageIds.length),
+            pageToken
+        };
+
+        // If specific label requested, add it
+        if (labelId) {
+            listParams.labelIds = [labelId];
+        }
 
-    // List messages matching the query
-    const listResponse = await gmail.users.messages.list(listParams);
+        // List messages matching the query
+        const listResponse = await gmail.users.messages.list(listParams);
 
-    const messages = listResponse.data.messages || [];
+        for (const message of listResponse.data.messages || []) {
+            messageIds.push(message.id);
+        }
 
-    if (messages.length === 0) {
-        return [];
+        pageToken = listResponse.data.nextPageToken;
+    } while (pageToken && messageIds.length < maxMessages);
+
+    // Results are newest first, so a ceiling drops the oldest messages
+    const truncated = !!pageToken;
+    if (truncated) {
+        logger.warn('Gmail fetch hit the per-run ceiling', { label: labelId || 'default', maxMessages });
     }
 
-    // Fetch full message details
+    const { emails, failedIds } = await fetchMessages(gmail, messageIds);
+
+    return { emails, truncated, failedIds };
+}
+
+/**
+ * Fetch full message details for a list of IDs
+ * @param {Object} gmail - Gmail API client
+ * @param {Array<string>} messageIds - Gmail message IDs
+ * @returns {Promise<Object>} { emails, failedIds } - failedIds are the messages that couldn't be read
+ */
+async function fetchMessages(gmail, messageIds) {
     const emails = [];
+    const failedIds = [];
 
-    for (const message of messages) {
+    for (const id of messageIds) {
         try {
             const msgResponse = await gmail.users.messages.get({
                 userId: 'me',
-                id: message.id,
+                id,
                 format: 'full'
             });
 
@@ -173,11 +416,144 @@ async function fetchFromLabel(gmail, afterDate, labelId) {
                 emails.push(email);
             }
         } catch (err) {
-            logger.warn(`Failed to fetch Gmail message ${message.id}`, { error: err.message });
+            failedIds.push(id);
+            logger.warn(`Failed to fetch Gmail message ${id}`, { error: err.message });
         }
     }
 
-    return emails;
+    return { emails, failedIds };
+}
+
+/**
+ * Visit every part of a MIME tree, depth first in document order
+ * @param {Object} part - Gmail message part (starts at the payload)
+ * @param {Function} visit - Called with each part
+ */
+function walkParts(part, visit) {
+    if (!part) return;
+
+    visit(part);
+
+    for (const child of part.parts || []) {
+        walkParts(child, visit);
+    }
+}
+
+/**
+ * Get a header value from a message part
+ * @param {Object} part - Gmail message part
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string}
+ */
+function getPartHeader(part, name) {
+    const header = (part?.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header?.value || '';
+}
+
+/**
+ * Check whether a part is an attachment rather than message text
+ * @param {Object} part - Gmail message part
+ * @returns {boolean}
+ */
+function isAttachmentPart(part) {
+    return !!part.filename || /^\s*attachment/i.test(getPartHeader(part, 'content-disposition'));
+}
+
+/**
+ * Check whether a part is shown inside the message body (e.g. an embedded image)
+ * Parts marked inline, or referenced by Content-ID without being marked as attachments
+ * @param {Object} part - Gmail message part
+ * @returns {boolean}
+ */
+function isInlinePart(part) {
+    const disposition = getPartHeader(part, 'content-disposition');
+    if (/^\s*attachment/i.test(disposition)) return false;
+    return /^\s*inline/i.test(disposition) || !!getPartHeader(part, 'content-id');
+}
+
+/**
+ * Read the charset declared in a part's Content-Type
+ * @param {Object} part - Gmail message part
+ * @returns {string} Charset label, utf-8 when none is declared
+ */
+function getPartCharset(part) {
+    const match = getPartHeader(part, 'content-type').match(/charset\s*=\s*"?([^";\s]+)"?/i);
+    return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Decode Gmail's base64url body data
+ * @param {string} data - base64url string
+ * @returns {Buffer}
+ */
+function decodeBase64Url(data) {
+    return Buffer.from(data || '', 'base64url');
+}
+
+/**
+ * Decode a text part's body in its declared charset
+ * @param {Object} part - Gmail message part with body.data
+ * @returns {string}
+ */
+function decodeTextPart(part) {
+    const bytes = decodeBase64Url(part.body.data);
+
+    try {
+        return new TextDecoder(getPartCharset(part)).decode(bytes);
+    } catch {
+        // Unknown charset label
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * Extract the message text, preferring text/plain over text/html
+ * Links come from the HTML part when there is one (hrefs are not in the plain text)
+ * @param {Object} payload - Gmail message payload
+ * @returns {Object} { text, links }
+ */
+function extractBody(payload) {
+    let plainPart = null;
+    let htmlPart = null;
+
+    walkParts(payload, part => {
+        if (!part.body?.data || isAttachmentPart(part)) return;
+
+        if (part.mimeType === 'text/plain' && !plainPart) plainPart = part;
+        if (part.mimeType === 'text/html' && !htmlPart) htmlPart = part;
+    });
+
+    const html = htmlPart ? htmlToText(decodeTextPart(htmlPart)) : null;
+
+    if (plainPart) {
+        const text = decodeTextPart(plainPart);
+        return { text, links: html ? html.links : extractPlainLinks(text) };
+    }
+
+    return html || { text: '', links: [] };
+}
+
+/**
+ * Collect attachment metadata from a message payload
+ * Inline parts are left out, as for Outlook and IMAP
+ * @param {Object} payload - Gmail message payload
+ * @returns {Array<Object>} { attachmentId, name, type, size }
+ */
+function collectAttachments(payload) {
+    const attachments = [];
+
+    walkParts(payload, part => {
+        if (!part.body?.attachmentId || !isAttachmentPart(part) || isInlinePart(part)) return;
+
+        attachments.push({
+            attachmentId: part.body.attachmentId,
+            name: part.filename || 'attachment',
+            type: part.mimeType || 'application/octet-stream',
+            size: part.body.size || 0
+        });
+    });
+
+    return attachments;
 }
 
 /**
@@ -187,32 +563,13 @@ async function fetchFromLabel(gmail, afterDate, labelId) {
  */
 function parseGmailMessage(message) {
     try {
-        const headers = message.payload?.headers || [];
-
-        const getHeader = (name) => {
-            const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
-            return header?.value || '';
-        };
+        const getHeader = (name) => getPartHeader(message.payload, name);
 
         // Extract snippet
         let snippet = message.snippet || '';
 
-        // Try to get body
-        let body = '';
-        if (message.payload?.body?.data) {
-            body = Buffer.from(message.payload.body.data, 'base64').toString('utf-8');
-        } else if (message.payload?.parts) {
-            const textPart = message.payload.parts.find(p => p.mimeType === 'text/plain');
-            const htmlPart = message.payload.parts.find(p => p.mimeType === 'text/html');
-
-            const part = textPart || htmlPart;
-            if (part?.body?.data) {
-                body = Buffer.from(part.body.data, 'base64').toString('utf-8');
-                if (part.mimeType === 'text/html') {
-                    body = body.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-                }
-            }
-        }
+        // Walk the whole MIME tree (multipart/alternative is usually nested in multipart/mixed)
+        const { text: body, links } = extractBody(message.payload);
 
         // Parse date
         const dateStr = getHeader('date');
@@ -226,14 +583,17 @@ function parseGmailMessage(message) {
             provider: 'gmail',
             messageId: message.id,
             threadId: message.threadId,
+            rfcMessageId: getHeader('message-id') || null,
             subject: getHeader('subject') || '(No Subject)',
             from: getHeader('from'),
             to: getHeader('to'),
             date: new Date(timestamp || Date.now()),
             snippet: snippet.substring(0, 300),
             body: body.substring(0, 2000),
-            webLink: `https://mail.google.com/mail/u/0/#inbox/${message.id}`,
+            links,
+            webLink: null, // Set by fetchEmails, which knows the mailbox address
             labels: message.labelIds || [],
+            attachments: collectAttachments(message.payload),
             isSpam: isSpam
         };
     } catch (error) {
@@ -242,10 +602,171 @@ function parseGmailMessage(message) {
     }
 }
 
+/**
+ * Revoke the refresh token with Google (best effort)
+ * @param {string} refreshToken - Refresh token to revoke
+ * @returns {Promise<boolean>} True if Google confirmed the revocation
+ */
+async function revokeAccess(refreshToken) {
+    try {
+        const oauth2Client = createOAuth2Client();
+        await oauth2Client.revokeToken(refreshToken);
+        return true;
+    } catch (error) {
+        logger.warn('Gmail token revocation failed', { error: error.message });
+        return false;
+    }
+}
+
+/**
+ * List labels the user can watch with /folders
+ * @param {string} refreshToken - User's Gmail refresh token
+ * @returns {Promise<Object>} { folders: [{ id, name }], credentials } - Inbox and categories
+ *                            first, then user labels by name
+ */
+async function listFolders(refreshToken) {
+    const auth = await getAuthenticatedClient(refreshToken);
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    const response = await gmail.users.labels.list({ userId: 'me' });
+    const labels = response.data.labels || [];
+
+    const system = Object.entries(SYSTEM_LABEL_NAMES)
+        .filter(([id]) => labels.some(label => label.id === id))
+        .map(([id, name]) => ({ id, name }));
+
+    const user = labels
+        .filter(label => label.type === 'user')
+        .map(label => ({ id: label.id, name: label.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return { folders: [...system, ...user], credentials: getRotatedCredentials(auth) };
+}
+
+/**
+ * Download an attachment
+ * @param {string} refreshToken - User's Gmail refresh token
+ * @param {string} messageId - Gmail message ID
+ * @param {string} attachmentId - Attachment ID from the message payload
+ * @returns {Promise<Object>} { content: Buffer, credentials }
+ */
+async function downloadAttachment(refreshToken, messageId, attachmentId) {
+    const auth = await getAuthenticatedClient(refreshToken);
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    const response = await gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId,
+        id: attachmentId
+    });
+
+    return { content: decodeBase64Url(response.data.data), credentials: getRotatedCredentials(auth) };
+}
+
+/**
+ * Register (or renew) a Pub/Sub watch on the same mail the scan covers: the watched
+ * labels (or all mail except trash and drafts) and Spam when it is included
+ * Gmail watches last 7 days; calling watch again replaces the existing one
+ * @param {string} refreshToken - User's Gmail refresh token
+ * @param {Object|null} current - Stored push state (unused, watch replaces it)
+ * @param {Object} folders - { watched: [labelId], includeSpam }
+ * @returns {Promise<Object|null>} { push: { expiresAt }, credentials } or null if push is not configured
+ */
+async function watchMailbox(refreshToken, current = null, folders = DEFAULT_FOLDERS) {
+    const topicName = process.env.GMAIL_PUBSUB_TOPIC;
+    if (!topicName) return null;
+
+    // /webhook/gmail refuses pushes without the token, so a watch would only waste quota
+    if (!process.env.GMAIL_PUSH_TOKEN) {
+        logger.error('GMAIL_PUBSUB_TOPIC is set but GMAIL_PUSH_TOKEN is not; Gmail push is off');
+        return null;
+    }
+
+    const auth = await getAuthenticatedClient(refreshToken);
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    const labelFilter = folders.watched.length > 0
+        ? { labelIds: [...folders.watched, ...(folders.includeSpam ? ['SPAM'] : [])], labelFilterBehavior: 'include' }
+        : { labelIds: ['TRASH', 'DRAFT', ...(folders.includeSpam ? [] : ['SPAM'])], labelFilterBehavior: 'exclude' };
+
+    const response = await gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+            topicName,
+            ...labelFilter
+        }
+    });
+
+    return {
+        push: { expiresAt: new Date(parseInt(response.data.expiration, 10)) },
+        credentials: getRotatedCredentials(auth)
+    };
+}
+
+/**
+ * Stop Gmail push notifications for a mailbox being disconnected (best effort)
+ * The watch belongs to the Google account, so callers skip this while another
+ * mailbox still has the same address (accountWidePush)
+ * @param {string} refreshToken - User's Gmail refresh token
+ * @param {Object|null} current - Stored push state
+ */
+async function unwatchMailbox(refreshToken, current = null) {
+    if (!current) return;
+
+    try {
+        const auth = await getAuthenticatedClient(refreshToken);
+        const gmail = google.gmail({ version: 'v1', auth });
+        await gmail.users.stop({ userId: 'me' });
+    } catch (error) {
+        logger.warn('Failed to stop Gmail watch', { error: error.message });
+    }
+}
+
+/**
+ * Decode a Pub/Sub push envelope
+ * Body is { message: { data, messageId }, subscription } where data is
+ * base64 JSON { emailAddress, historyId }
+ * @param {Object} body - Request body
+ * @returns {Object|null} { address, historyId } or null if malformed
+ */
+function parsePushNotification(body) {
+    const data = body?.message?.data;
+    if (!data) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64').toString('utf-8'));
+        if (!payload.emailAddress) return null;
+
+        return {
+            address: payload.emailAddress.toLowerCase(),
+            historyId: payload.historyId ? String(payload.historyId) : null
+        };
+    } catch (error) {
+        logger.warn('Malformed Gmail push payload', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Check whether a stored sync cursor already covers a pushed historyId
+ * @param {Object|null} syncState - Stored sync state ({ historyId })
+ * @param {string|null} historyId - historyId from the push notification
+ * @returns {boolean}
+ */
+function isPushSynced(syncState, historyId) {
+    if (!syncState?.historyId || !historyId) return false;
+
+    try {
+        return BigInt(syncState.historyId) >= BigInt(historyId);
+    } catch {
+        return false;
+    }
+}
+
 /**
  * Test connection with refresh token
  * @param {string} refreshToken - Refresh token to test
- * @returns {Promise<boolean>} True if connection works
+ * @returns {Promise<Object>} { ok, credentials }
  */
 async function testConnection(refreshToken) {
     try {
@@ -253,16 +774,38 @@ async function testConnection(refreshToken) {
         const gmail = google.gmail({ version: 'v1', auth });
 
         await gmail.users.getProfile({ userId: 'me' });
-        return true;
+        return { ok: true, credentials: getRotatedCredentials(auth) };
     } catch (error) {
         logger.error('Gmail connection test failed', { error: error.message });
-        return false;
+        return { ok: false, credentials: null };
     }
 }
 
 module.exports = {
+    // Adapter metadata (see providers.js)
+    id: 'gmail',
+    displayName: 'Gmail',
+    icon: '📧',
+    authType: 'oauth',
+    defaultFoldersLabel: 'all mail except spam and trash',
+    credentialFields: {
+        refreshToken: { type: String, default: null, secret: true }
+    },
+    hasCredentials,
+    getCredentials,
+    // OAuth hooks
     getAuthUrl,
     exchangeCodeForTokens,
+    revokeAccess,
+    manageAccessUrls: ['https://myaccount.google.com/permissions'],
+    // Push hooks
+    accountWidePush: true, // users.stop ends the watch for every mailbox with this address
+    watchMailbox,
+    unwatchMailbox,
+    parsePushNotification,
+    isPushSynced,
     fetchEmails,
+    listFolders,
+    downloadAttachment,
     testConnection
 };
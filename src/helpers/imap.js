@@ -0,0 +1,416 @@
+/**
+ * IMAP Helper
+ * Fetches emails from any standard IMAP server (university mail, self-hosted, etc.)
+ * Fetches from INBOX (or the folders picked with /folders) and the Spam/Junk folder
+ */
+
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const logger = require('../utils/logger');
+const { getFetchLimits } = require('../utils/fetchLimits');
+const { htmlToText, extractPlainLinks } = require('../utils/htmlToText');
+
+// Connection defaults
+const DEFAULT_PORT = 993;
+const CONNECTION_TIMEOUT_MS = 15000;
+
+// Folder selection when the mailbox has none stored: INBOX + Spam
+const DEFAULT_FOLDERS = { watched: [], includeSpam: true };
+
+// Special-use folders never offered by /folders (\Junk is covered by the spam switch)
+const EXCLUDED_SPECIAL_USE = ['\\Junk', '\\Trash', '\\Drafts', '\\Sent', '\\All', '\\Flagged'];
+
+/**
+ * Create IMAP client for the given credentials
+ * @param {Object} credentials - IMAP credentials (host, port, secure, username, password)
+ * @returns {ImapFlow} IMAP client (not yet connected)
+ */
+function createClient(credentials) {
+    if (!credentials?.host || !credentials?.username || !credentials?.password) {
+        throw new Error('Incomplete IMAP credentials');
+    }
+
+    const port = parseInt(credentials.port, 10) || DEFAULT_PORT;
+    const secure = credentials.secure ?? port === DEFAULT_PORT;
+
+    return new ImapFlow({
+        host: credentials.host,
+        port,
+        // Port 993 is implicit TLS, anything else must upgrade with STARTTLS;
+        // a server that doesn't offer it fails instead of getting the password in cleartext
+        secure,
+        ...(!secure && { doSTARTTLS: true }),
+        auth: {
+            user: credentials.username,
+            pass: credentials.password
+        },
+        tls: {
+            // Allow self-signed certificates for local test servers
+            rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+        },
+        connectionTimeout: CONNECTION_TIMEOUT_MS,
+        logger: false
+    });
+}
+
+/**
+ * Check whether a stored provider document has usable credentials
+ * @param {Object} doc - Stored provider document
+ * @returns {boolean}
+ */
+function hasCredentials(doc) {
+    return !!(doc?.host && doc?.username && doc?.password);
+}
+
+/**
+ * Get the credentials argument for fetchEmails/testConnection
+ * @param {Object} doc - Stored provider document
+ * @returns {Object} IMAP credentials
+ */
+function getCredentials(doc) {
+    const { host, port, secure, username, password, spamFolder } = doc;
+    return { host, port, secure, username, password, spamFolder };
+}
+
+/**
+ * Parse the "host[:port] username password" reply sent to the bot
+ * @param {string} text - Message text
+ * @returns {Object|null} Credentials (with email) or null if malformed. email is the login when
+ *                       it is an address, otherwise "username on host" (never a made-up address)
+ */
+function parseCredentials(text) {
+    const [hostPart, username, ...passwordParts] = (text || '').trim().split(/\s+/);
+    const password = passwordParts.join(' ');
+
+    if (!hostPart || !username || !password) {
+        return null;
+    }
+
+    const [host, portStr] = hostPart.split(':');
+    const port = parseInt(portStr, 10) || DEFAULT_PORT;
+
+    return {
+        host,
+        port,
+        secure: port === DEFAULT_PORT,
+        username,
+        password,
+        email: username.includes('@') ? username : `${username} on ${host}`
+    };
+}
+
+/**
+ * Resolve the spam folder path for a mailbox
+ * Uses the configured folder, then the server's \Junk special-use folder,
+ * then the IMAP_SPAM_FOLDER environment default
+ * @param {ImapFlow} client - Connected IMAP client
+ * @param {string|null} configured - Folder configured for the mailbox
+ * @returns {Promise<string|null>} Folder path or null if none exists
+ */
+async function resolveSpamFolder(client, configured) {
+    if (configured) return configured;
+
+    const folders = await client.list();
+
+    const specialUse = folders.find(f => f.specialUse === '\\Junk');
+    if (specialUse) return specialUse.path;
+
+    const fallback = process.env.IMAP_SPAM_FOLDER || 'Junk';
+    const named = folders.find(f => f.path.toLowerCase() === fallback.toLowerCase());
+    return named ? named.path : null;
+}
+
+/**
+ * Fetch emails from IMAP server for a user (watched folders or INBOX, + Spam)
+ * @param {Object} credentials - IMAP credentials (host, port, secure, username, password, spamFolder)
+ * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms)
+ * @param {Object|null} syncState - Unused, IMAP has no sync cursor
+ * @param {Object} folders - { watched: [folderPath], includeSpam }
+ * @returns {Promise<Object>} { emails, syncState, truncated }
+ */
+async function fetchEmails(credentials, sinceTimestamp, syncState = null, folders = DEFAULT_FOLDERS) {
+    const client = createClient(credentials);
+
+    logger.debug('IMAP query', { host: credentials.host, since: new Date(sinceTimestamp).toISOString() });
+
+    await client.connect();
+
+    const allEmails = [];
+    let truncated = false;
+
+    try {
+        // Fetch from the watched folders, or INBOX
+        for (const folder of folders.watched.length > 0 ? folders.watched : ['INBOX']) {
+            try {
+                const result = await fetchFromFolder(client, folder, sinceTimestamp, false);
+                allEmails.push(...result.emails);
+                truncated = truncated || result.truncated;
+                logger.info(`Found ${result.emails.length} emails from IMAP ${folder}`);
+            } catch (error) {
+                logger.error(`Failed to fetch IMAP ${folder}`, { error: error.message });
+            }
+        }
+
+        // Fetch from Spam folder
+        if (folders.includeSpam) {
+            try {
+                const spamFolder = await resolveSpamFolder(client, credentials.spamFolder);
+                if (spamFolder) {
+                    const spam = await fetchFromFolder(client, spamFolder, sinceTimestamp, true);
+                    allEmails.push(...spam.emails);
+                    truncated = truncated || spam.truncated;
+                    if (spam.emails.length > 0) {
+                        logger.info(`Found ${spam.emails.length} emails from IMAP Spam`);
+                    }
+                }
+            } catch (error) {
+                logger.warn('Failed to fetch IMAP Spam', { error: error.message });
+            }
+        }
+    } finally {
+        await client.logout().catch(() => client.close());
+    }
+
+    return { emails: allEmails, syncState: null, truncated };
+}
+
+/**
+ * Fetch emails from a specific folder
+ * @param {ImapFlow} client - Connected IMAP client
+ * @param {string} folder - Folder path
+ * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms)
+ * @param {boolean} isSpam - Whether the folder is the spam folder
+ * @returns {Promise<Object>} { emails, truncated }
+ */
+async function fetchFromFolder(client, folder, sinceTimestamp, isSpam) {
+    const lock = await client.getMailboxLock(folder, { readOnly: true });
+
+    try {
+        // IMAP SINCE only has day granularity, exact filtering happens below
+        const uids = await client.search({ since: new Date(sinceTimestamp) }, { uid: true });
+
+        if (!uids || uids.length === 0) {
+            return { emails: [], truncated: false };
+        }
+
+        // Keep the newest messages when over the per-run ceiling
+        const { maxMessages } = getFetchLimits();
+        const truncated = uids.length > maxMessages;
+        if (truncated) {
+            logger.warn('IMAP fetch hit the per-run ceiling', { folder, maxMessages, matched: uids.length });
+        }
+
+        const uidValidity = client.mailbox.uidValidity?.toString() || '0';
+        const recentUids = uids.slice(-maxMessages);
+
+        const emails = [];
+
+        for await (const message of client.fetch(recentUids, { uid: true, internalDate: true, source: true }, { uid: true })) {
+            if (message.internalDate && message.internalDate.getTime() < sinceTimestamp) {
+                continue;
+            }
+
+            try {
+                const parsed = await simpleParser(message.source);
+                const email = parseImapMessage(parsed, {
+                    folder,
+                    uid: message.uid,
+                    uidValidity,
+                    internalDate: message.internalDate,
+                    isSpam
+                });
+                if (email) {
+                    emails.push(email);
+                }
+            } catch (err) {
+                logger.warn(`Failed to parse IMAP message ${message.uid}`, { error: err.message });
+            }
+        }
+
+        return { emails, truncated };
+    } finally {
+        lock.release();
+    }
+}
+
+/**
+ * Parse IMAP message into standardized email object
+ * @param {Object} parsed - mailparser ParsedMail object
+ * @param {Object} meta - Folder, uid, uidValidity, internalDate, isSpam
+ * @returns {Object} Standardized email object
+ */
+function parseImapMessage(parsed, meta) {
+    try {
+        // Message-ID is stable across folder moves, UIDs are not
+        const messageId = parsed.messageId || `${meta.folder}:${meta.uidValidity}:${meta.uid}`;
+
+        // Thread by the first message in the References chain
+        const references = Array.isArray(parsed.references)
+            ? parsed.references
+            : (parsed.references ? [parsed.references] : []);
+        const threadId = references[0] || parsed.inReplyTo || messageId;
+
+        // Links come from the HTML alternative when there is one (hrefs are not in the plain text)
+        const html = parsed.html ? htmlToText(parsed.html) : null;
+        const body = parsed.text || html?.text || '';
+        const links = html ? html.links : extractPlainLinks(body);
+
+        return {
+            id: `imap_${messageId}`,
+            provider: 'imap',
+            messageId,
+            threadId,
+            rfcMessageId: parsed.messageId || null,
+            subject: parsed.subject || '(No Subject)',
+            from: parsed.from?.text || '',
+            to: parsed.to?.text || '',
+            date: parsed.date || meta.internalDate || new Date(),
+            snippet: body.replace(/\s+/g, ' ').trim().substring(0, 300),
+            body: body.substring(0, 2000),
+            links,
+            webLink: null,
+            attachments: (parsed.attachments || [])
+                .map((attachment, index) => ({ attachment, index }))
+                .filter(({ attachment }) => !attachment.related) // inline images
+                .map(({ attachment, index }) => ({
+                    // Enough to find the part again: folder, UIDVALIDITY, UID and part index
+                    attachmentId: [meta.folder, meta.uidValidity, meta.uid, index].join(':'),
+                    name: attachment.filename || 'attachment',
+                    type: attachment.contentType || 'application/octet-stream',
+                    size: attachment.size || 0
+                })),
+            folder: meta.folder,
+            uid: meta.uid,
+            isSpam: meta.isSpam
+        };
+    } catch (error) {
+        logger.warn('Failed to parse IMAP message', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * List folders the user can watch with /folders
+ * @param {Object} credentials - IMAP credentials
+ * @returns {Promise<Object>} { folders: [{ id, name }], credentials } - id is the folder path
+ */
+async function listFolders(credentials) {
+    const client = createClient(credentials);
+    await client.connect();
+
+    try {
+        const folders = await client.list();
+
+        const selectable = folders
+            .filter(folder => !folder.flags?.has('\\Noselect') && !EXCLUDED_SPECIAL_USE.includes(folder.specialUse))
+            .filter(folder => folder.path !== credentials.spamFolder)
+            .map(folder => ({ id: folder.path, name: folder.path }));
+
+        return { folders: selectable, credentials: null };
+    } finally {
+        await client.logout().catch(() => client.close());
+    }
+}
+
+/**
+ * Download an attachment by re-reading its message
+ * @param {Object} credentials - IMAP credentials
+ * @param {string} messageId - Message-ID (unused, the attachment ID locates the message)
+ * @param {string} attachmentId - "folder:uidValidity:uid:index" from parseImapMessage
+ * @returns {Promise<Object>} { content: Buffer, credentials }
+ */
+async function downloadAttachment(credentials, messageId, attachmentId) {
+    // Folder names may contain ':', the last three parts never do
+    const parts = attachmentId.split(':');
+    const index = parseInt(parts.pop(), 10);
+    const uid = parts.pop();
+    const uidValidity = parts.pop();
+    const folder = parts.join(':');
+
+    const client = createClient(credentials);
+    await client.connect();
+
+    try {
+        const lock = await client.getMailboxLock(folder, { readOnly: true });
+
+        try {
+            if ((client.mailbox.uidValidity?.toString() || '0') !== uidValidity) {
+                throw new Error('Message is no longer available in this folder');
+            }
+
+            const message = await client.fetchOne(uid, { source: true }, { uid: true });
+            if (!message?.source) {
+                throw new Error('Message is no longer available in this folder');
+            }
+
+            const parsed = await simpleParser(message.source);
+            const attachment = parsed.attachments?.[index];
+            if (!attachment) {
+                throw new Error('Attachment not found');
+            }
+
+            return { content: attachment.content, credentials: null };
+        } finally {
+            lock.release();
+        }
+    } finally {
+        await client.logout().catch(() => client.close());
+    }
+}
+
+/**
+ * Test connection with credentials
+ * @param {Object} credentials - IMAP credentials to test
+ * @returns {Promise<Object>} { ok, credentials }
+ */
+async function testConnection(credentials) {
+    let client;
+    try {
+        client = createClient(credentials);
+        await client.connect();
+        await client.mailboxOpen('INBOX', { readOnly: true });
+        await client.logout();
+        return { ok: true, credentials: null };
+    } catch (error) {
+        logger.error('IMAP connection test failed', { error: error.message });
+        if (client) client.close();
+        return { ok: false, credentials: null };
+    }
+}
+
+module.exports = {
+    // Adapter metadata (see providers.js)
+    id: 'imap',
+    displayName: 'IMAP',
+    icon: '🏫',
+    authType: 'credentials',
+    defaultFoldersLabel: 'Inbox',
+    credentialFields: {
+        host: { type: String, default: null },
+        port: { type: Number, default: null }, // null = 993
+        secure: { type: Boolean, default: null }, // null = TLS on port 993 only
+        username: { type: String, default: null },
+        password: { type: String, default: null, secret: true },
+        spamFolder: { type: String, default: null } // null = auto-detect \Junk folder
+    },
+    hasCredentials,
+    getCredentials,
+    // Credentials hooks
+    connectInstructions: `🏫 *Connect IMAP Mailbox*
+
+Use this for your university or any other mail server that supports IMAP.
+
+Send your server details in a single message:
+\`host[:port] username password\`
+
+Example:
+\`imap.myuni.edu:993 21cs101@myuni.edu my-app-password\`
+
+_I'll delete your message as soon as I've read it. Use an app password if your server offers one._`,
+    credentialsFormat: '`host[:port] username password`',
+    parseCredentials,
+    fetchEmails,
+    listFolders,
+    downloadAttachment,
+    testConnection
+};
@@ -0,0 +1,143 @@
+/**
+ * LLM Backends
+ * Chat models aiClassify can send its prompt to, chosen with AI_BACKEND.
+ * The prompt and response parsing live in classifier.js and are shared.
+ *
+ * Each backend has:
+ *   id             - Value of AI_BACKEND that selects it
+ *   displayName    - Name used in logs
+ *   isConfigured() - Whether its env settings are present
+ *   complete(prompt) - Resolves to the model's raw text reply (expected to be JSON)
+ */
+
+const axios = require('axios');
+
+const DEFAULT_BACKEND = 'gemini';
+
+// Shared generation settings: short, near-deterministic JSON answers
+const TEMPERATURE = 0.1;
+const MAX_OUTPUT_TOKENS = 256;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Strip trailing slashes from a base URL
+ * @param {string} url - Base URL
+ * @returns {string}
+ */
+function trimBaseUrl(url) {
+    return url.replace(/\/+$/, '');
+}
+
+// ==================== GEMINI ====================
+// GEMINI_API_KEY, optional GEMINI_MODEL and GEMINI_BASE_URL (e.g. a mock server)
+
+const gemini = {
+    id: 'gemini',
+    displayName: 'Gemini',
+
+    isConfigured() {
+        return !!process.env.GEMINI_API_KEY;
+    },
+
+    async complete(prompt) {
+        const baseUrl = trimBaseUrl(process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta');
+        const model = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+
+        const response = await axios.post(
+            `${baseUrl}/models/${encodeURIComponent(model)}:generateContent`,
+            {
+                contents: [{
+                    parts: [{ text: prompt }]
+                }],
+                generationConfig: {
+                    temperature: TEMPERATURE,
+                    maxOutputTokens: MAX_OUTPUT_TOKENS,
+                    responseMimeType: 'application/json'
+                }
+            },
+            {
+                params: { key: process.env.GEMINI_API_KEY },
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                timeout: REQUEST_TIMEOUT_MS
+            }
+        );
+
+        const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) {
+            throw new Error('Empty response from Gemini');
+        }
+
+        return text;
+    }
+};
+
+// ==================== OPENAI-COMPATIBLE ====================
+// Chat completions API as served by OpenAI, Ollama, vLLM and LM Studio
+// OPENAI_BASE_URL (e.g. http://localhost:11434/v1), OPENAI_MODEL, optional OPENAI_API_KEY
+
+const openai = {
+    id: 'openai',
+    displayName: 'OpenAI-compatible',
+
+    isConfigured() {
+        return !!(process.env.OPENAI_BASE_URL && process.env.OPENAI_MODEL);
+    },
+
+    async complete(prompt) {
+        const apiKey = process.env.OPENAI_API_KEY;
+
+        // response_format is left out: not every self-hosted server accepts it, and
+        // parseAIResponse copes with JSON wrapped in prose
+        const response = await axios.post(
+            `${trimBaseUrl(process.env.OPENAI_BASE_URL)}/chat/completions`,
+            {
+                model: process.env.OPENAI_MODEL,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: TEMPERATURE,
+                max_tokens: MAX_OUTPUT_TOKENS
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+                },
+                timeout: REQUEST_TIMEOUT_MS
+            }
+        );
+
+        const text = response.data?.choices?.[0]?.message?.content;
+        if (!text) {
+            throw new Error('Empty response from chat completions endpoint');
+        }
+
+        return text;
+    }
+};
+
+const BACKENDS = [gemini, openai];
+
+const backendsById = new Map(BACKENDS.map(backend => [backend.id, backend]));
+
+/**
+ * Get the backend selected by AI_BACKEND
+ * @returns {Object|null} Backend, or null if AI_BACKEND names no known backend
+ */
+function getBackend() {
+    const id = (process.env.AI_BACKEND || DEFAULT_BACKEND).trim().toLowerCase();
+    return backendsById.get(id) || null;
+}
+
+/**
+ * Get the selected backend if its settings are present
+ * @returns {Object|null} Backend ready to use, or null when AI classification is off
+ */
+function getConfiguredBackend() {
+    const backend = getBackend();
+    return backend?.isConfigured() ? backend : null;
+}
+
+module.exports = {
+    getConfiguredBackend
+};
@@ -1,15 +1,36 @@
 /**
  * Outlook Helper
  * Handles OAuth token refresh and fetching emails from Microsoft Graph API
- * Fetches from both Inbox and Junk Email folders
+ * Fetches from Inbox (or the folders picked with /folders) and Junk Email
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { getFetchLimits } = require('../utils/fetchLimits');
+const { htmlToText, extractPlainLinks } = require('../utils/htmlToText');
 
 // Microsoft Graph API base URL
 const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
 
+// Fields requested for every message
+const MESSAGE_SELECT = 'id,subject,from,toRecipients,receivedDateTime,bodyPreview,body,webLink,isRead,conversationId,internetMessageId,parentFolderId,hasAttachments';
+
+// Overlap with the previous delta sync when filtering out merely-updated old messages
+const DELTA_OVERLAP_MS = 5 * 60 * 1000;
+
+// Folder selection when the mailbox has none stored: Inbox + Junk
+const DEFAULT_FOLDERS = { watched: [], includeSpam: true };
+
+// Well-known folders never offered by /folders
+const EXCLUDED_FOLDERS = ['junkemail', 'deleteditems', 'drafts', 'sentitems', 'outbox', 'conversationhistory', 'syncissues'];
+
+// How deep /folders looks into child folders (Inbox/Placements/2025 is depth 2)
+const MAX_FOLDER_DEPTH = 2;
+
+// Subscription lifetime (Graph allows just under 3 days for Outlook messages)
+const SUBSCRIPTION_LIFETIME_MS = 4200 * 60 * 1000;
+
 /**
  * Get token endpoint URL
  * @returns {string}
@@ -37,19 +58,41 @@ function getRedirectUri() {
     return `${baseUrl}/oauth/outlook/callback`;
 }
 
+/**
+ * Check whether a stored provider document has usable credentials
+ * @param {Object} doc - Stored provider document
+ * @returns {boolean}
+ */
+function hasCredentials(doc) {
+    return !!doc?.refreshToken;
+}
+
+/**
+ * Get the credentials argument for fetchEmails/testConnection
+ * @param {Object} doc - Stored provider document
+ * @returns {string} Refresh token
+ */
+function getCredentials(doc) {
+    return doc.refreshToken;
+}
+
 /**
  * Generate authorization URL
  * @param {string} state - State parameter for CSRF protection
+ * @param {string} codeChallenge - PKCE S256 code challenge
  * @returns {string} Authorization URL
  */
-function getAuthUrl(state = '') {
+function getAuthUrl(state, codeChallenge) {
     const params = new URLSearchParams({
         client_id: process.env.OUTLOOK_CLIENT_ID,
         response_type: 'code',
         redirect_uri: getRedirectUri(),
         scope: 'https://graph.microsoft.com/Mail.Read https://graph.microsoft.com/User.Read offline_access',
         response_mode: 'query',
-        state: state
+        prompt: 'select_account', // Let users link more than one Microsoft account
+        state: state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
     });
 
     return `${getAuthorizeEndpoint()}?${params.toString()}`;
@@ -58,15 +101,17 @@ function getAuthUrl(state = '') {
 /**
  * Exchange authorization code for tokens
  * @param {string} code - Authorization code from OAuth callback
+ * @param {string} codeVerifier - PKCE code verifier the challenge was derived from
  * @returns {Promise<Object>} Tokens and user info
  */
-async function exchangeCodeForTokens(code) {
+async function exchangeCodeForTokens(code, codeVerifier) {
     const response = await axios.post(getTokenEndpoint(), new URLSearchParams({
         client_id: process.env.OUTLOOK_CLIENT_ID,
         client_secret: process.env.OUTLOOK_CLIENT_SECRET,
         code: code,
         redirect_uri: getRedirectUri(),
-        grant_type: 'authorization_code'
+        grant_type: 'authorization_code',
+        code_verifier: codeVerifier
     }), {
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     });
@@ -86,9 +131,26 @@ async function exchangeCodeForTokens(code) {
 /**
  * Get access token using refresh token
  * @param {string} refreshToken - User's refresh token
- * @returns {Promise<string>} Access token
+ * @returns {Promise<Object>} { accessToken, credentials } - credentials holds the rotated
+ *                            refresh token to store (null = unchanged)
  */
 async function getAccessToken(refreshToken) {
+    const tokens = await refreshTokens(refreshToken);
+
+    return {
+        accessToken: tokens.accessToken,
+        credentials: tokens.refreshToken ? { refreshToken: tokens.refreshToken } : null
+    };
+}
+
+/**
+ * Redeem a refresh token
+ * Microsoft usually returns a new refresh token as well and eventually stops
+ * accepting the old one, so callers that can store it should
+ * @param {string} refreshToken - User's refresh token
+ * @returns {Promise<Object>} { accessToken, refreshToken } - refreshToken is null unless rotated
+ */
+async function refreshTokens(refreshToken) {
     if (!refreshToken) {
         throw new Error('No refresh token provided');
     }
@@ -103,85 +165,286 @@ async function getAccessToken(refreshToken) {
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     });
 
-    return response.data.access_token;
+    const rotated = response.data.refresh_token;
+
+    return {
+        accessToken: response.data.access_token,
+        refreshToken: rotated && rotated !== refreshToken ? rotated : null
+    };
+}
+
+/**
+ * Get the folders a mailbox scans
+ * @param {Object} folders - { watched: [folderId], includeSpam }
+ * @returns {Array<string>} Folder IDs or well-known names
+ */
+function getScannedFolders(folders) {
+    return [
+        ...(folders.watched.length > 0 ? folders.watched : ['inbox']),
+        ...(folders.includeSpam ? ['junkemail'] : [])
+    ];
 }
 
 /**
- * Fetch emails from Outlook for a user (Inbox + Junk)
+ * Fetch emails from Outlook for a user (watched folders or Inbox, + Junk)
+ * Uses a Graph delta query per folder, resuming from the delta links of the previous sync
  * @param {string} refreshToken - User's Outlook refresh token
- * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms)
- * @returns {Promise<Array>} Array of email objects
+ * @param {number} sinceTimestamp - Fetch emails after this timestamp (ms), used for the initial sync
+ * @param {Object|null} syncState - State returned by the previous sync ({ deltaLinks, syncedAt })
+ * @param {Object} folders - { watched: [folderId], includeSpam }
+ * @returns {Promise<Object>} { emails, syncState, truncated, credentials }
  */
-async function fetchEmails(refreshToken, sinceTimestamp) {
-    const accessToken = await getAccessToken(refreshToken);
+async function fetchEmails(refreshToken, sinceTimestamp, syncState = null, folders = DEFAULT_FOLDERS) {
+    const { accessToken, credentials } = await getAccessToken(refreshToken);
 
     // Format date for Graph API filter
     const sinceDate = new Date(sinceTimestamp).toISOString();
 
-    logger.debug('Outlook query', { since: sinceDate });
+    logger.debug('Outlook query', { since: sinceDate, delta: !!syncState?.deltaLinks });
 
+    // Delta also returns old messages that were merely updated (read, flagged, moved);
+    // only messages received since the previous sync are new mail
+    const minReceived = syncState?.syncedAt
+        ? new Date(syncState.syncedAt).getTime() - DELTA_OVERLAP_MS
+        : sinceTimestamp;
+
+    const startedAt = new Date().toISOString();
+    const previousLinks = syncState?.deltaLinks || {};
+    // Only folders still watched keep a delta link
+    const deltaLinks = {};
     const allEmails = [];
+    let truncated = false;
+
+    for (const folderName of getScannedFolders(folders)) {
+        const label = folderName === 'junkemail' ? 'Junk' : folderName;
+
+        try {
+            const folder = await fetchFromFolder(accessToken, folderName, sinceDate, previousLinks[folderName]);
+            // followDelta marks junk emails so we can flag them in notification
+            const folderEmails = folder.emails.filter(email => email.date.getTime() >= minReceived);
+            deltaLinks[folderName] = folder.deltaLink;
+            truncated = truncated || folder.truncated;
+            allEmails.push(...folderEmails);
+            logger.info(`Found ${folderEmails.length} emails from Outlook ${label}`);
+        } catch (error) {
+            // Resume from the old link next run
+            if (previousLinks[folderName]) deltaLinks[folderName] = previousLinks[folderName];
+            logger.error(`Failed to fetch Outlook ${label}`, { error: error.message });
+        }
+    }
 
-    // Fetch from Inbox
-    try {
-        const inboxEmails = await fetchFromFolder(accessToken, 'inbox', sinceDate);
-        allEmails.push(...inboxEmails);
-        logger.info(`Found ${inboxEmails.length} emails from Outlook Inbox`);
-    } catch (error) {
-        logger.error('Failed to fetch Outlook Inbox', { error: error.message });
+    // Delta can't $expand attachments, so list them only for messages that have some
+    await loadAttachments(accessToken, allEmails);
+
+    // A truncated folder resumes from its nextLink next run; keep the old age cutoff
+    // so the rest of that backlog isn't mistaken for merely-updated old mail
+    const syncedAt = truncated
+        ? (syncState?.syncedAt || new Date(sinceTimestamp).toISOString())
+        : startedAt;
+
+    return {
+        emails: allEmails,
+        syncState: { deltaLinks, syncedAt },
+        truncated,
+        credentials
+    };
+}
+
+/**
+ * Fetch new/changed emails from a specific folder with a delta query
+ * Follows @odata.nextLink until Graph hands out the next @odata.deltaLink.
+ * If Graph reports the delta token as expired, restarts with a fresh initial sync.
+ * @param {string} accessToken - Access token
+ * @param {string} folderName - Folder ID or well-known name (inbox, junkemail)
+ * @param {string} sinceDate - ISO date string, bounds the initial sync
+ * @param {string|null} deltaLink - Delta (or unfinished next) link from the previous sync
+ * @returns {Promise<Object>} { emails, deltaLink, truncated }
+ */
+async function fetchFromFolder(accessToken, folderName, sinceDate, deltaLink = null) {
+    if (deltaLink) {
+        try {
+            return await followDelta(accessToken, folderName, deltaLink, null);
+        } catch (error) {
+            if (!isSyncReset(error)) throw error;
+            logger.warn('Outlook delta token expired, resyncing folder', { folder: folderName });
+        }
     }
 
-    // Fetch from Junk Email (Spam)
-    try {
-        const junkEmails = await fetchFromFolder(accessToken, 'junkemail', sinceDate);
-        // Mark junk emails so we can flag them in notification
-        junkEmails.forEach(email => {
-            email.isSpam = true;
+    return followDelta(accessToken, folderName, `${GRAPH_API_BASE}/me/mailFolders/${encodeURIComponent(folderName)}/messages/delta`, {
+        '$filter': `receivedDateTime ge ${sinceDate}`,
+        '$select': MESSAGE_SELECT
+    });
+}
+
+/**
+ * Page through a delta query
+ * Stops at the per-run ceiling and returns the pending nextLink in place of the
+ * delta link, so the next run continues where this one stopped
+ * @param {string} accessToken - Access token
+ * @param {string} folderName - Folder name
+ * @param {string} url - Delta URL (initial, nextLink or deltaLink)
+ * @param {Object|null} params - Query params for the initial request (links already carry them)
+ * @returns {Promise<Object>} { emails, deltaLink, truncated }
+ */
+async function followDelta(accessToken, folderName, url, params) {
+    const { pageSize, maxMessages } = getFetchLimits();
+    const emails = [];
+    let nextUrl = url;
+    let nextParams = params;
+    let deltaLink = null;
+
+    while (nextUrl) {
+        if (emails.length >= maxMessages) {
+            logger.warn('Outlook fetch hit the per-run ceiling', { folder: folderName, maxMessages });
+            return { emails, deltaLink: nextUrl, truncated: true };
+        }
+
+        const response = await axios.get(nextUrl, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+                'Prefer': `odata.maxpagesize=${pageSize}`
+            },
+            params: nextParams || undefined
         });
-        allEmails.push(...junkEmails);
-        if (junkEmails.length > 0) {
-            logger.info(`Found ${junkEmails.length} emails from Outlook Junk`);
+
+        for (const msg of response.data.value || []) {
+            // Deleted messages only carry an id
+            if (msg['@removed']) continue;
+
+            const email = parseOutlookMessage(msg, folderName === 'junkemail');
+            if (email) {
+                emails.push(email);
+            }
         }
-    } catch (error) {
-        logger.warn('Failed to fetch Outlook Junk', { error: error.message });
+
+        nextUrl = response.data['@odata.nextLink'] || null;
+        nextParams = null;
+        deltaLink = response.data['@odata.deltaLink'] || deltaLink;
     }
 
-    return allEmails;
+    return { emails, deltaLink, truncated: false };
 }
 
 /**
- * Fetch emails from a specific folder
+ * Fill in attachment metadata for messages flagged with hasAttachments
+ * Inline images and attached items (emails, events) are left out
  * @param {string} accessToken - Access token
- * @param {string} folderName - Folder name (inbox, junkemail, etc.)
- * @param {string} sinceDate - ISO date string
- * @returns {Promise<Array>} Array of email objects
+ * @param {Array<Object>} emails - Parsed emails (updated in place)
  */
-async function fetchFromFolder(accessToken, folderName, sinceDate) {
-    const filter = `receivedDateTime ge ${sinceDate}`;
-
-    const response = await axios.get(`${GRAPH_API_BASE}/me/mailFolders/${folderName}/messages`, {
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-        },
-        params: {
-            '$filter': filter,
-            '$top': 50,
-            '$orderby': 'receivedDateTime desc',
-            '$select': 'id,subject,from,toRecipients,receivedDateTime,bodyPreview,body,webLink,isRead,conversationId,parentFolderId'
+async function loadAttachments(accessToken, emails) {
+    for (const email of emails) {
+        if (!email.hasAttachments) continue;
+
+        try {
+            const response = await axios.get(`${GRAPH_API_BASE}/me/messages/${email.messageId}/attachments`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+                params: { '$select': 'id,name,contentType,size,isInline' }
+            });
+
+            email.attachments = (response.data.value || [])
+                .filter(item => item['@odata.type'] === '#microsoft.graph.fileAttachment' && !item.isInline)
+                .map(item => ({
+                    attachmentId: item.id,
+                    name: item.name || 'attachment',
+                    type: item.contentType || 'application/octet-stream',
+                    size: item.size || 0
+                }));
+        } catch (error) {
+            logger.warn(`Failed to list Outlook attachments for ${email.messageId}`, { error: error.message });
         }
-    });
+    }
+}
+
+/**
+ * List folders the user can watch with /folders
+ * Child folders are included (up to MAX_FOLDER_DEPTH) as "Parent/Child"
+ * @param {string} refreshToken - User's Outlook refresh token
+ * @returns {Promise<Object>} { folders: [{ id, name }], credentials }
+ */
+async function listFolders(refreshToken) {
+    const { accessToken, credentials } = await getAccessToken(refreshToken);
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+
+    // v1.0 doesn't expose well-known names on listed folders, so resolve their IDs
+    const excluded = new Set();
+    for (const name of EXCLUDED_FOLDERS) {
+        try {
+            const response = await axios.get(`${GRAPH_API_BASE}/me/mailFolders/${name}`, {
+                headers,
+                params: { '$select': 'id' }
+            });
+            excluded.add(response.data.id);
+        } catch (error) {
+            // Not every mailbox has every well-known folder
+            if (error.response?.status !== 404) throw error;
+        }
+    }
 
-    const messages = response.data.value || [];
+    const folders = [];
+    await collectFolders(headers, `${GRAPH_API_BASE}/me/mailFolders`, '', 0, excluded, folders);
+    return { folders, credentials };
+}
+
+/**
+ * Page through a folder listing, descending into child folders
+ * @param {Object} headers - Request headers
+ * @param {string} url - mailFolders or childFolders URL
+ * @param {string} prefix - Parent path ("Inbox/")
+ * @param {number} depth - Current depth
+ * @param {Set<string>} excluded - Folder IDs to skip
+ * @param {Array} folders - Collected folders (appended in place)
+ */
+async function collectFolders(headers, url, prefix, depth, excluded, folders) {
+    let nextUrl = url;
+    let params = { '$select': 'id,displayName,childFolderCount', '$top': 100 };
+
+    while (nextUrl) {
+        const response = await axios.get(nextUrl, { headers, params });
+
+        for (const folder of response.data.value || []) {
+            if (excluded.has(folder.id)) continue;
+
+            const name = `${prefix}${folder.displayName}`;
+            folders.push({ id: folder.id, name });
+
+            if (folder.childFolderCount > 0 && depth < MAX_FOLDER_DEPTH) {
+                await collectFolders(headers, `${GRAPH_API_BASE}/me/mailFolders/${encodeURIComponent(folder.id)}/childFolders`, `${name}/`, depth + 1, excluded, folders);
+            }
+        }
 
-    if (messages.length === 0) {
-        return [];
+        nextUrl = response.data['@odata.nextLink'] || null;
+        params = undefined;
     }
+}
+
+/**
+ * Download an attachment
+ * @param {string} refreshToken - User's Outlook refresh token
+ * @param {string} messageId - Graph message ID
+ * @param {string} attachmentId - Graph attachment ID
+ * @returns {Promise<Object>} { content: Buffer, credentials }
+ */
+async function downloadAttachment(refreshToken, messageId, attachmentId) {
+    const { accessToken, credentials } = await getAccessToken(refreshToken);
 
-    // Parse messages
-    const emails = messages.map(msg => parseOutlookMessage(msg, folderName === 'junkemail')).filter(Boolean);
+    const response = await axios.get(`${GRAPH_API_BASE}/me/messages/${messageId}/attachments/${attachmentId}/$value`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+        responseType: 'arraybuffer'
+    });
 
-    return emails;
+    return { content: Buffer.from(response.data), credentials };
+}
+
+/**
+ * Check whether Graph asked us to throw away the delta token and start over
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isSyncReset(error) {
+    const status = error.response?.status;
+    const code = error.response?.data?.error?.code;
+    return status === 410 || code === 'syncStateNotFound' || code === 'resyncRequired' || code === 'SyncStateInvalid';
 }
 
 /**
@@ -205,15 +468,13 @@ function parseOutlookMessage(message, isJunk = false) {
 
         // Get body content
         let body = message.bodyPreview || '';
+        let links = extractPlainLinks(body);
         if (message.body?.content) {
             if (message.body.contentType === 'html') {
-                body = message.body.content
-                    .replace(/<[^>]*>/g, ' ')
-                    .replace(/&nbsp;/g, ' ')
-                    .replace(/\s+/g, ' ')
-                    .trim();
+                ({ text: body, links } = htmlToText(message.body.content));
             } else {
                 body = message.body.content;
+                links = extractPlainLinks(body);
             }
         }
 
@@ -222,14 +483,18 @@ function parseOutlookMessage(message, isJunk = false) {
             provider: 'outlook',
             messageId: message.id,
             threadId: message.conversationId || null,
+            rfcMessageId: message.internetMessageId || null,
             subject: message.subject || '(No Subject)',
             from: from,
             to: to,
             date: new Date(message.receivedDateTime),
             snippet: (message.bodyPreview || '').substring(0, 300),
             body: body.substring(0, 2000),
+            links,
             webLink: message.webLink || `https://outlook.office.com/mail/inbox/id/${message.id}`,
             isRead: message.isRead,
+            hasAttachments: !!message.hasAttachments,
+            attachments: [],
             isSpam: isJunk
         };
     } catch (error) {
@@ -238,27 +503,207 @@ function parseOutlookMessage(message, isJunk = false) {
     }
 }
 
+/**
+ * Create (or renew) Graph change-notification subscriptions on the scanned folders
+ * Graph validates the notification URL while creating, so BASE_URL must be reachable.
+ * Subscriptions on folders that are no longer watched are deleted.
+ * @param {string} refreshToken - User's Outlook refresh token
+ * @param {Object|null} current - Stored push state ({ expiresAt, clientState, subscriptions })
+ * @param {Object} folders - { watched: [folderId], includeSpam }
+ * @returns {Promise<Object|null>} { push, credentials } or null if push is not enabled
+ */
+async function watchMailbox(refreshToken, current = null, folders = DEFAULT_FOLDERS) {
+    if (process.env.OUTLOOK_PUSH_ENABLED !== 'true') return null;
+
+    const { accessToken, credentials } = await getAccessToken(refreshToken);
+    const expiresAt = new Date(Date.now() + SUBSCRIPTION_LIFETIME_MS);
+    const clientState = current?.clientState || crypto.randomBytes(24).toString('hex');
+    const scanned = getScannedFolders(folders);
+    const subscriptions = [];
+    const created = [];
+
+    try {
+        for (const folder of scanned) {
+            const existing = (current?.subscriptions || []).find(sub => sub.folder === folder);
+            let id = await renewSubscription(accessToken, existing?.id, expiresAt);
+            if (!id) {
+                id = await createSubscription(accessToken, folder, clientState, expiresAt);
+                created.push(id);
+            }
+            subscriptions.push({ folder, id });
+        }
+    } catch (error) {
+        // Nothing is stored on failure, so subscriptions made this time would be orphaned
+        // and made again on the next renewal
+        for (const id of created) {
+            await deleteSubscription(accessToken, id);
+        }
+        throw error;
+    }
+
+    for (const stale of (current?.subscriptions || []).filter(sub => !scanned.includes(sub.folder))) {
+        await deleteSubscription(accessToken, stale.id);
+    }
+
+    return { push: { expiresAt, clientState, subscriptions }, credentials };
+}
+
+/**
+ * Delete the Graph subscriptions of a mailbox being disconnected (best effort)
+ * @param {string} refreshToken - User's Outlook refresh token
+ * @param {Object|null} current - Stored push state ({ subscriptions })
+ */
+async function unwatchMailbox(refreshToken, current = null) {
+    const subscriptions = current?.subscriptions || [];
+    if (subscriptions.length === 0) return;
+
+    try {
+        // A rotated refresh token isn't stored, the mailbox is removed right after
+        const { accessToken } = await getAccessToken(refreshToken);
+        for (const subscription of subscriptions) {
+            await deleteSubscription(accessToken, subscription.id);
+        }
+    } catch (error) {
+        logger.warn('Failed to delete Outlook subscriptions', { error: error.message });
+    }
+}
+
+/**
+ * Delete a subscription (best effort, it expires on its own anyway)
+ * @param {string} accessToken - Access token
+ * @param {string} subscriptionId - Subscription ID
+ */
+async function deleteSubscription(accessToken, subscriptionId) {
+    try {
+        await axios.delete(`${GRAPH_API_BASE}/subscriptions/${subscriptionId}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+    } catch (error) {
+        logger.warn('Failed to delete Outlook subscription', { subscriptionId, error: error.message });
+    }
+}
+
+/**
+ * Extend an existing subscription
+ * @param {string} accessToken - Access token
+ * @param {string|null} subscriptionId - Subscription ID
+ * @param {Date} expiresAt - New expiry
+ * @returns {Promise<string|null>} Subscription ID, or null if it no longer exists
+ */
+async function renewSubscription(accessToken, subscriptionId, expiresAt) {
+    if (!subscriptionId) return null;
+
+    try {
+        await axios.patch(`${GRAPH_API_BASE}/subscriptions/${subscriptionId}`, {
+            expirationDateTime: expiresAt.toISOString()
+        }, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        return subscriptionId;
+    } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        logger.info('Outlook subscription expired, creating a new one', { subscriptionId });
+        return null;
+    }
+}
+
+/**
+ * Create a subscription for new messages in a folder
+ * @param {string} accessToken - Access token
+ * @param {string} folderName - Folder ID or well-known name (inbox, junkemail)
+ * @param {string} clientState - Secret echoed back in every notification
+ * @param {Date} expiresAt - Expiry
+ * @returns {Promise<string>} Subscription ID
+ */
+async function createSubscription(accessToken, folderName, clientState, expiresAt) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    const response = await axios.post(`${GRAPH_API_BASE}/subscriptions`, {
+        changeType: 'created',
+        notificationUrl: `${baseUrl}/webhook/outlook`,
+        resource: `me/mailFolders('${folderName}')/messages`,
+        expirationDateTime: expiresAt.toISOString(),
+        clientState
+    }, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+
+    return response.data.id;
+}
+
+/**
+ * Read change notifications from a Graph webhook body
+ * @param {Object} body - Request body ({ value: [...] })
+ * @returns {Array<Object>} { subscriptionId, clientState } per notification
+ */
+function parsePushNotifications(body) {
+    return (Array.isArray(body?.value) ? body.value : [])
+        .filter(item => item?.subscriptionId)
+        .map(item => ({
+            subscriptionId: item.subscriptionId,
+            clientState: item.clientState || null
+        }));
+}
+
+/**
+ * Check a notification's clientState against the stored secret
+ * @param {Object|null} push - Stored push state
+ * @param {string|null} clientState - clientState from the notification
+ * @returns {boolean}
+ */
+function isValidClientState(push, clientState) {
+    if (!push?.clientState || !clientState) return false;
+
+    const expected = Buffer.from(push.clientState);
+    const received = Buffer.from(clientState);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
 /**
  * Test connection with refresh token
  * @param {string} refreshToken - Refresh token to test
- * @returns {Promise<boolean>} True if connection works
+ * @returns {Promise<Object>} { ok, credentials }
  */
 async function testConnection(refreshToken) {
     try {
-        const accessToken = await getAccessToken(refreshToken);
+        const { accessToken, credentials } = await getAccessToken(refreshToken);
         await axios.get(`${GRAPH_API_BASE}/me`, {
             headers: { 'Authorization': `Bearer ${accessToken}` }
         });
-        return true;
+        return { ok: true, credentials };
     } catch (error) {
         logger.error('Outlook connection test failed', { error: error.message });
-        return false;
+        return { ok: false, credentials: null };
     }
 }
 
 module.exports = {
+    // Adapter metadata (see providers.js)
+    id: 'outlook',
+    displayName: 'Outlook',
+    icon: '📧',
+    authType: 'oauth',
+    defaultFoldersLabel: 'Inbox',
+    credentialFields: {
+        refreshToken: { type: String, default: null, secret: true }
+    },
+    hasCredentials,
+    getCredentials,
+    // OAuth hooks
     getAuthUrl,
     exchangeCodeForTokens,
+    // No revokeAccess: Microsoft can't revoke one app's tokens, only sign the user out everywhere
+    manageAccessUrls: [
+        'https://account.live.com/consent/Manage', // Personal accounts
+        'https://myapps.microsoft.com' // Work and school accounts
+    ],
+    // Push hooks
+    watchMailbox,
+    unwatchMailbox,
+    parsePushNotifications,
+    isValidClientState,
     fetchEmails,
+    listFolders,
+    downloadAttachment,
     testConnection
 };
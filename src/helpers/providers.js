@@ -0,0 +1,112 @@
+/**
+ * Provider Registry
+ * Single list of email provider adapters. The server, bot keyboards,
+ * OAuth routes and MongoDB schema are all derived from it.
+ *
+ * Each adapter module exports:
+ *   id                - Provider key used in MongoDB and callback data
+ *   displayName       - Human readable name
+ *   icon              - Emoji shown on bot buttons
+ *   authType          - 'oauth' (browser consent) or 'credentials' (details sent to the bot)
+ *   defaultFoldersLabel - What is scanned when no folders are picked, shown by /folders
+ *   credentialFields  - Mongoose field definitions for the stored credentials;
+ *                       fields marked `secret: true` are encrypted at rest (utils/secrets.js)
+ *   hasCredentials(doc)        - Whether a stored provider doc can be fetched
+ *   getCredentials(doc)        - Credentials argument for fetchEmails/testConnection
+ *   fetchEmails(credentials, sinceTimestamp, syncState, folders)
+ *                     - Resolves to { emails, syncState, truncated, credentials }; syncState
+ *                       is stored on the mailbox and handed back on the next run (null = none),
+ *                       truncated is true when the per-run ceiling (fetchLimits.js) was hit,
+ *                       credentials holds rotated credential fields to store (null = unchanged).
+ *                       Optional failedIds lists messages that were found but couldn't be read;
+ *                       they count as failed emails, so the syncState is only stored once they
+ *                       are read or given up on.
+ *                       folders is { watched: [folderId], includeSpam }, empty watched = default
+ *   listFolders(credentials) - Resolves to { folders: [{ id, name }], credentials }, the folders
+ *                       the user can pick from with /folders (spam, trash, drafts and sent are left out)
+ *                       Emails carry rfcMessageId (Message-ID header, null if unknown) for
+ *                       duplicate detection across mailboxes
+ *   downloadAttachment(credentials, messageId, attachmentId) - Resolves to { content: Buffer,
+ *                       credentials }; emails list theirs as attachments: [{ attachmentId, name, type, size }]
+ *   testConnection(credentials) - Resolves to { ok, credentials }
+ *   Every `credentials` in a result is like fetchEmails': rotated fields to store, null = unchanged
+ * OAuth adapters also export:
+ *   getAuthUrl(state, codeChallenge), exchangeCodeForTokens(code, codeVerifier) - PKCE (S256)
+ *   revokeAccess(credentials) - Optional best-effort token revocation on disconnect
+ *   manageAccessUrls          - Pages where users can remove the app's access themselves
+ * Credentials adapters also export:
+ *   connectInstructions, parseCredentials(text)
+ * Adapters that support push may export:
+ *   watchMailbox(credentials, push, folders) - Register/renew push delivery for the watched
+ *                                folders given the stored mailbox.push; resolves to { push, credentials }
+ *                                with the new state ({ expiresAt, ... }), or null when push is not configured
+ *   unwatchMailbox(credentials, push) - Best-effort stop of push delivery on disconnect
+ *   accountWidePush           - True when unwatching stops push for every mailbox with the same
+ *                                address, so it is skipped while another enabled one remains
+ */
+
+const ADAPTERS = [
+    require('./gmail'),
+    require('./outlook'),
+    require('./imap')
+];
+
+const adaptersById = new Map(ADAPTERS.map(adapter => [adapter.id, adapter]));
+
+/**
+ * Get all registered adapters (in display order)
+ * @returns {Array<Object>}
+ */
+function listProviders() {
+    return ADAPTERS;
+}
+
+/**
+ * Get all registered provider IDs
+ * @returns {Array<string>}
+ */
+function getProviderIds() {
+    return ADAPTERS.map(adapter => adapter.id);
+}
+
+/**
+ * Get adapter by provider ID
+ * @param {string} id - Provider ID
+ * @returns {Object|null} Adapter or null if unknown
+ */
+function getProvider(id) {
+    return adaptersById.get(id) || null;
+}
+
+/**
+ * Get the names of credential fields that are encrypted at rest, across all adapters
+ * @returns {Array<string>}
+ */
+function getSecretFields() {
+    const fields = new Set();
+
+    for (const adapter of ADAPTERS) {
+        for (const [name, definition] of Object.entries(adapter.credentialFields)) {
+            if (definition.secret) fields.add(name);
+        }
+    }
+
+    return [...fields];
+}
+
+/**
+ * Get display name for a provider ID
+ * @param {string} id - Provider ID
+ * @returns {string}
+ */
+function getDisplayName(id) {
+    return getProvider(id)?.displayName || id;
+}
+
+module.exports = {
+    listProviders,
+    getProviderIds,
+    getProvider,
+    getSecretFields,
+    getDisplayName
+};
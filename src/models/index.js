@@ -4,6 +4,96 @@
  */
 
 const mongoose = require('mongoose');
+const providers = require('../helpers/providers');
+const { ERROR_CATEGORIES } = require('../utils/providerErrors');
+const { CATEGORIES } = require('../helpers/classifier');
+
+/**
+ * Collect credential fields declared by every registered provider
+ * @returns {Object} Schema definition
+ */
+function buildCredentialFields() {
+  const definition = {};
+
+  for (const adapter of providers.listProviders()) {
+    Object.assign(definition, adapter.credentialFields);
+  }
+
+  return definition;
+}
+
+/**
+ * Build "<provider>Connected" session flags
+ * @returns {Object} Schema definition
+ */
+function buildConnectedFlags() {
+  const definition = {};
+
+  for (const id of providers.getProviderIds()) {
+    definition[`${id}Connected`] = { type: Boolean, default: false };
+  }
+
+  return definition;
+}
+
+// ==================== MAILBOX SCHEMA ====================
+// One connected email account; a user can have several per provider
+const mailboxSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: providers.getProviderIds(),
+    required: true
+  },
+  address: { type: String, default: null },
+  enabled: { type: Boolean, default: true },
+  
+  // Provider credentials (refreshToken for OAuth, server login for IMAP)
+  ...buildCredentialFields(),
+  
+  // Folders/labels chosen with /folders
+  folders: {
+    watched: {
+      type: [{ _id: false, id: String, name: String }],
+      default: [] // empty = provider default (Gmail search, Outlook Inbox, IMAP INBOX)
+    },
+    includeSpam: { type: Boolean, default: true }
+  },
+  
+  // Tracking
+  connectedAt: { type: Date, default: Date.now },
+  lastChecked: { type: Date, default: null },
+  syncState: { type: mongoose.Schema.Types.Mixed, default: null }, // Provider cursor, e.g. Gmail historyId
+  push: { type: mongoose.Schema.Types.Mixed, default: null }, // Push registration, e.g. Gmail watch expiry
+  failedEmails: {
+    type: [{ _id: false, messageId: String, attempts: Number }],
+    default: [] // Emails that failed in the last run, and how many runs in a row
+  },
+  lastError: { type: String, default: null },
+  lastErrorCategory: { type: String, enum: [...Object.values(ERROR_CATEGORIES), null], default: null },
+  lastErrorAt: { type: Date, default: null },
+  lastFailureAlert: { type: Date, default: null }
+});
+
+// ==================== KEYWORD RULE SCHEMA ====================
+// Per-user classifier rule added with /rules, scored alongside the built-in keywords
+const keywordRuleSchema = new mongoose.Schema({
+  pattern: { type: String, required: true }, // Phrase, or regex source when isRegex
+  isRegex: { type: Boolean, default: false },
+  category: { type: String, enum: [...Object.values(CATEGORIES), null], default: null }, // null = every category (negative rules only)
+  weight: { type: Number, min: 1, max: 10, default: 2 },
+  negative: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ==================== SENDER RULE SCHEMA ====================
+// Per-user allowlist/blocklist entry from /senders or the alert buttons, decides before any scoring
+const senderRuleSchema = new mongoose.Schema({
+  matchType: { type: String, enum: ['address', 'domain', 'name'], required: true },
+  pattern: { type: String, required: true }, // Lowercased address, domain, or display-name phrase
+  action: { type: String, enum: ['important', 'ignore'], required: true },
+  category: { type: String, enum: [...Object.values(CATEGORIES), null], default: null }, // Required for 'important'
+  createdAt: { type: Date, default: Date.now }
+});
 
 // ==================== USER SCHEMA ====================
 const userSchema = new mongoose.Schema({
@@ -27,24 +117,22 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   
-  // Email provider configurations
-  providers: {
-    gmail: {
-      enabled: { type: Boolean, default: false },
-      refreshToken: { type: String, default: null },
-      email: { type: String, default: null },
-      connectedAt: { type: Date, default: null },
-      lastError: { type: String, default: null },
-      lastErrorAt: { type: Date, default: null }
-    },
-    outlook: {
-      enabled: { type: Boolean, default: false },
-      refreshToken: { type: String, default: null },
-      email: { type: String, default: null },
-      connectedAt: { type: Date, default: null },
-      lastError: { type: String, default: null },
-      lastErrorAt: { type: Date, default: null }
-    }
+  // Connected email accounts
+  mailboxes: {
+    type: [mailboxSchema],
+    default: []
+  },
+  
+  // Classifier rules from /rules
+  keywordRules: {
+    type: [keywordRuleSchema],
+    default: []
+  },
+  
+  // Sender allowlist/blocklist from /senders
+  senderRules: {
+    type: [senderRuleSchema],
+    default: []
   },
   
   // Notification settings
@@ -55,17 +143,9 @@ const userSchema = new mongoose.Schema({
       INTERVIEW: { type: Boolean, default: true },
       ASSESSMENT: { type: Boolean, default: true },
       SHORTLISTED: { type: Boolean, default: true }
-    }
-  },
-  
-  // Tracking
-  lastChecked: {
-    gmail: { type: Date, default: null },
-    outlook: { type: Date, default: null }
-  },
-  lastFailureAlert: {
-    gmail: { type: Date, default: null },
-    outlook: { type: Date, default: null }
+    },
+    // Follow-ups in an alerted thread: 'reply' to the first alert, or 'edit' it in place
+    threadUpdates: { type: String, enum: ['reply', 'edit'], default: 'reply' }
   },
   
   // Status
@@ -98,13 +178,19 @@ const emailSchema = new mongoose.Schema({
   // Email identification
   provider: {
     type: String,
-    enum: ['gmail', 'outlook'],
+    enum: providers.getProviderIds(),
     required: true
   },
+  mailboxId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   messageId: {
     type: String,
     required: true
   },
+  rfcMessageId: { type: String, default: null }, // Message-ID header, shared by copies in other mailboxes
+  fingerprint: { type: String, default: null }, // Subject + sender hash (emailFingerprint.js)
   threadId: {
     type: String,
     default: null
@@ -114,7 +200,7 @@ const emailSchema = new mongoose.Schema({
   uniqueId: {
     type: String,
     required: true,
-    unique: true // provider_messageId
+    unique: true // chatId_provider_messageId
   },
   
   // Email content
@@ -124,7 +210,26 @@ const emailSchema = new mongoose.Schema({
   snippet: { type: String, default: '' },
   body: { type: String, default: '' },
   webLink: { type: String, default: null },
+  isSpam: { type: Boolean, default: false },
   receivedAt: { type: Date, required: true },
+  attachments: {
+    type: [{
+      _id: false,
+      attachmentId: { type: String, required: true }, // Provider reference used to download it
+      name: { type: String, default: 'attachment' },
+      type: { type: String, default: 'application/octet-stream' },
+      size: { type: Number, default: 0 } // bytes
+    }],
+    default: []
+  },
+  links: {
+    type: [{
+      _id: false,
+      url: { type: String, required: true },
+      text: { type: String, default: '' } // Anchor text
+    }],
+    default: []
+  },
   
   // Classification
   classification: {
@@ -139,9 +244,44 @@ const emailSchema = new mongoose.Schema({
     method: { type: String, default: 'keyword' }
   },
   
+  // User feedback from the alert's 👍 / 👎 / wrong category buttons
+  feedback: {
+    label: { type: String, enum: ['correct', 'not_important', 'wrong_category', null], default: null },
+    correctedCategory: { type: String, enum: [...Object.values(CATEGORIES), null], default: null },
+    labelledAt: { type: Date, default: null }
+  },
+  
   // Notification status
   notified: { type: Boolean, default: false },
   notifiedAt: { type: Date, default: null },
+  telegramMessageId: { type: Number, default: null }, // Alert this email was sent in (or folded into)
+  
+  // Copies of this email that arrived in the user's other mailboxes
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', default: null },
+  duplicates: {
+    type: [{
+      _id: false,
+      emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+      mailboxId: { type: mongoose.Schema.Types.ObjectId },
+      provider: { type: String },
+      address: { type: String, default: null }
+    }],
+    default: []
+  },
+  
+  // Thread grouping: follow-ups point at the thread's first alert, which lists them
+  threadRootId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', default: null },
+  threadUpdates: {
+    type: [{
+      _id: false,
+      emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+      subject: { type: String, default: '' },
+      from: { type: String, default: '' },
+      snippet: { type: String, default: '' },
+      receivedAt: { type: Date, default: null }
+    }],
+    default: []
+  },
   
   // Timestamps
   createdAt: { type: Date, default: Date.now }
@@ -149,6 +289,9 @@ const emailSchema = new mongoose.Schema({
 
 // Create compound index for deduplication
 emailSchema.index({ telegramChatId: 1, provider: 1, messageId: 1 }, { unique: true });
+emailSchema.index({ telegramChatId: 1, mailboxId: 1, threadId: 1 });
+emailSchema.index({ telegramChatId: 1, rfcMessageId: 1 });
+emailSchema.index({ telegramChatId: 1, fingerprint: 1, receivedAt: 1 });
 
 // ==================== SESSION SCHEMA ====================
 // For tracking onboarding conversation state
@@ -166,8 +309,8 @@ const sessionSchema = new mongoose.Schema({
     enum: [
       'START',
       'AWAITING_PROVIDER_CHOICE',
-      'AWAITING_GMAIL_AUTH',
-      'AWAITING_OUTLOOK_AUTH',
+      'AWAITING_AUTH',
+      'AWAITING_CREDENTIALS',
       'SETUP_COMPLETE',
       'IDLE'
     ],
@@ -176,11 +319,14 @@ const sessionSchema = new mongoose.Schema({
   
   // Temporary data during onboarding
   pendingProvider: { type: String, default: null },
-  oauthState: { type: String, default: null }, // For CSRF protection
+  oauthState: { type: String, default: null }, // For CSRF protection, single use
+  oauthProvider: { type: String, default: null }, // Provider the state was issued for
+  oauthStateExpiresAt: { type: Date, default: null },
+  oauthCodeVerifier: { type: String, default: null }, // PKCE verifier
+  folderPicker: { type: mongoose.Schema.Types.Mixed, default: null }, // /folders selection in progress
   
   // Track what's been set up
-  gmailConnected: { type: Boolean, default: false },
-  outlookConnected: { type: Boolean, default: false },
+  ...buildConnectedFlags(),
   
   // Timestamps
   createdAt: { type: Date, default: Date.now },
@@ -200,13 +346,26 @@ sessionSchema.pre('save', function(next) {
   next();
 });
 
+// ==================== TEXT MODEL SCHEMA ====================
+// Naive-Bayes classifier trained by npm run train-model (see utils/textModel.js)
+const textModelSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true }, // 'default'
+  version: { type: Number, required: true },
+  classes: { type: mongoose.Schema.Types.Mixed, default: {} }, // { [category]: { documents, tokens, counts } }
+  vocabularySize: { type: Number, default: 0 },
+  documentCount: { type: Number, default: 0 },
+  trainedAt: { type: Date, default: Date.now }
+});
+
 // ==================== MODELS ====================
 const User = mongoose.model('User', userSchema);
 const Email = mongoose.model('Email', emailSchema);
 const Session = mongoose.model('Session', sessionSchema);
+const TextModel = mongoose.model('TextModel', textModelSchema);
 
 module.exports = {
   User,
   Email,
-  Session
+  Session,
+  TextModel
 };
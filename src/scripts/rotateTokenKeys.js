@@ -0,0 +1,30 @@
+/**
+ * Rotate Token Encryption Keys
+ * Re-wraps every stored mailbox secret with the current TOKEN_ENCRYPTION_KEY
+ *
+ * 1. Move the old key to TOKEN_ENCRYPTION_OLD_KEYS ("<old id>:<old secret>")
+ * 2. Set a new TOKEN_ENCRYPTION_KEY and TOKEN_ENCRYPTION_KEY_ID
+ * 3. Run: npm run rotate-keys
+ * 4. Remove the old key from TOKEN_ENCRYPTION_OLD_KEYS
+ */
+
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const db = require('../helpers/database');
+
+async function main() {
+    await db.connect();
+
+    try {
+        const updated = await db.rotateCredentialKeys();
+        logger.info(`Key rotation complete, ${updated} values re-wrapped`);
+    } finally {
+        await db.disconnect();
+    }
+}
+
+main().catch(error => {
+    logger.error('Key rotation failed', { error: error.message });
+    process.exit(1);
+});
@@ -0,0 +1,35 @@
+/**
+ * Train Text Model
+ * Rebuilds the offline naive-Bayes classifier from stored emails and alert feedback
+ * (👍 keeps the category, 👎 teaches "not important", wrong category teaches the fix)
+ * Only alerted emails are stored, so the model isn't trained (or used) until at least
+ * a fifth of the training emails are "not important"
+ *
+ * Run: npm run train-model
+ * Running servers pick the new model up within 10 minutes
+ */
+
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const db = require('../helpers/database');
+
+async function main() {
+    await db.connect();
+
+    try {
+        const result = await db.retrainTextModel();
+        if (result.trained) {
+            logger.info(`Training complete, ${result.documents} emails used`, { categories: result.categories });
+        } else {
+            logger.warn('Model not trained, label more alerts first (👎 on false alarms counts most)', { documents: result.documents, categories: result.categories });
+        }
+    } finally {
+        await db.disconnect();
+    }
+}
+
+main().catch(error => {
+    logger.error('Model training failed', { error: error.message });
+    process.exit(1);
+});
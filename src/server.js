@@ -6,13 +6,15 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const logger = require('./utils/logger');
 const db = require('./helpers/database');
 const bot = require('./helpers/bot');
-const gmail = require('./helpers/gmail');
-const outlook = require('./helpers/outlook');
+const providers = require('./helpers/providers');
 const classifier = require('./helpers/classifier');
+const { ERROR_CATEGORIES, classifyProviderError, isTransient, retryTransient } = require('./utils/providerErrors');
+const { createCodeChallenge } = require('./utils/pkce');
 
 // Initialize Express app
 const app = express();
@@ -22,10 +24,16 @@ app.use(express.urlencoded({ extended: true }));
 // Configuration
 const PORT = process.env.PORT || 3000;
 const DEFAULT_LOOKBACK_MINUTES = 30;
+const PUSH_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000; // Renew push registrations a day before expiry
+const OAUTH_LINK_EXPIRED = 'link_expired'; // renderOAuthResult error for unknown, expired or reused OAuth state
+const MAX_EMAIL_ATTEMPTS = 3; // Runs an email may fail before it stops holding back the sync cursor
 
 // Track if initialized (for serverless cold starts)
 let isInitialized = false;
 
+// Mailbox runs in progress, so a push and the cron don't process the same mailbox at once
+const mailboxRuns = new Map();
+
 /**
  * Initialize services (MongoDB, Bot)
  * Called on first request in serverless environment
@@ -55,8 +63,8 @@ function generateRunId() {
  * Calculate since timestamp for fetching emails
  * If lastChecked exists, use (lastChecked - 1 minute) to avoid missing boundary emails
  */
-function getSinceTimestamp(user, provider) {
-    const lastChecked = user.lastChecked?.[provider];
+function getSinceTimestamp(mailbox) {
+    const lastChecked = mailbox.lastChecked;
 
     if (lastChecked) {
         // Subtract 1 minute from last checked to avoid missing emails at the boundary
@@ -71,6 +79,22 @@ function getSinceTimestamp(user, provider) {
     return Date.now() - (DEFAULT_LOOKBACK_MINUTES * 60 * 1000);
 }
 
+/**
+ * Run a task after any in-progress run for the same mailbox has finished
+ */
+function runExclusive(mailboxId, task) {
+    const key = mailboxId.toString();
+    const previous = mailboxRuns.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+
+    mailboxRuns.set(key, run);
+    run.catch(() => {}).finally(() => {
+        if (mailboxRuns.get(key) === run) mailboxRuns.delete(key);
+    });
+
+    return run;
+}
+
 /**
  * Process emails for a single user
  */
@@ -81,6 +105,8 @@ async function processUserEmails(user) {
         emailsScanned: 0,
         importantFound: 0,
         notificationsSent: 0,
+        duplicatesMerged: 0,
+        truncated: [],
         errors: []
     };
 
@@ -91,60 +117,116 @@ async function processUserEmails(user) {
 
     logger.info(`Processing user: ${user.firstName}`, { chatId: user.telegramChatId });
 
-    // Process Gmail
-    if (user.providers?.gmail?.enabled && user.providers.gmail.refreshToken) {
-        try {
-            const providerResult = await processProvider(user, 'gmail');
-            result.emailsScanned += providerResult.emailsScanned;
-            result.importantFound += providerResult.importantFound;
-            result.notificationsSent += providerResult.notificationsSent;
-        } catch (error) {
-            result.errors.push(`gmail: ${error.message}`);
-            await handleProviderFailure(user, 'gmail', error.message);
-        }
-    }
+    // Process every connected mailbox
+    for (const mailbox of user.mailboxes || []) {
+        const adapter = providers.getProvider(mailbox.provider);
+        if (!mailbox.enabled || !adapter?.hasCredentials(mailbox)) continue;
 
-    // Process Outlook
-    if (user.providers?.outlook?.enabled && user.providers.outlook.refreshToken) {
         try {
-            const providerResult = await processProvider(user, 'outlook');
+            const providerResult = await runExclusive(mailbox._id, () => processProvider(user, mailbox));
             result.emailsScanned += providerResult.emailsScanned;
             result.importantFound += providerResult.importantFound;
             result.notificationsSent += providerResult.notificationsSent;
+            result.duplicatesMerged += providerResult.duplicatesMerged;
+            if (providerResult.truncated) {
+                result.truncated.push(`${mailbox.provider} (${mailbox.address || mailbox._id})`);
+            }
         } catch (error) {
-            result.errors.push(`outlook: ${error.message}`);
-            await handleProviderFailure(user, 'outlook', error.message);
+            const category = await handleProviderFailure(user, mailbox, error);
+            result.errors.push({
+                mailbox: `${mailbox.provider} (${mailbox.address || mailbox._id})`,
+                category,
+                error: error.message
+            });
+            continue;
         }
+
+        await renewPush(user, mailbox);
     }
 
     return result;
 }
 
 /**
- * Process emails from a single provider
+ * Process emails from a single mailbox
  */
-async function processProvider(user, provider) {
+async function processProvider(user, mailbox) {
     const result = {
         emailsScanned: 0,
         importantFound: 0,
-        notificationsSent: 0
+        notificationsSent: 0,
+        duplicatesMerged: 0,
+        truncated: false
     };
 
-    const refreshToken = user.providers[provider].refreshToken;
-    const sinceTimestamp = getSinceTimestamp(user, provider);
+    const provider = mailbox.provider;
+    const adapter = providers.getProvider(provider);
+    const credentials = db.getMailboxCredentials(mailbox);
+    const sinceTimestamp = getSinceTimestamp(mailbox);
+
+    // Fetch emails (rate limits and network blips are retried before giving up)
+    const { emails, syncState, truncated, failedIds, credentials: rotated } = await retryTransient(
+        () => adapter.fetchEmails(credentials, sinceTimestamp, mailbox.syncState, db.getMailboxFolders(mailbox))
+    );
 
-    // Fetch emails
-    let emails;
-    if (provider === 'gmail') {
-        emails = await gmail.fetchEmails(refreshToken, sinceTimestamp);
-    } else {
-        emails = await outlook.fetchEmails(refreshToken, sinceTimestamp);
+    // Store rotated tokens straight away; the old ones may stop working
+    if (rotated) {
+        await db.updateMailboxCredentials(user.telegramChatId, mailbox._id, rotated);
+        Object.assign(mailbox, rotated);
     }
 
     result.emailsScanned = emails.length;
+    result.truncated = !!truncated;
+
+    // Gmail history and Outlook delta syncs resume from their cursor next run. Full scans
+    // (IMAP, Gmail without history) keep the newest messages and the older ones are skipped
+    if (truncated) {
+        logger.warn('Fetch hit the per-run ceiling', { chatId: user.telegramChatId, provider, mailboxId: mailbox._id });
+    }
+
+    // Emails that couldn't be delivered; keep the old sync cursor so they're fetched again.
+    // Each failure is counted per message, and one that keeps failing is given up on
+    let failures = 0;
+    const previousAttempts = new Map((mailbox.failedEmails || []).map(entry => [entry.messageId, entry.attempts]));
+    const failedEmails = [];
+
+    const recordFailure = (email, error) => {
+        const attempts = (previousAttempts.get(email.messageId) || 0) + 1;
+        failedEmails.push({ messageId: email.messageId, attempts });
+
+        if (attempts < MAX_EMAIL_ATTEMPTS) {
+            failures++;
+            logger.warn('Failed to process email', { emailId: email.id, attempts, error });
+        } else {
+            logger.error('Giving up on email after repeated failures', { emailId: email.id, attempts, error });
+        }
+    };
+
+    // Oldest first, so the first message of a thread is the one that gets the alert
+    emails.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Trained once, shared by every user (null until npm run train-model has run)
+    const textModel = emails.length > 0 ? await db.getTextModel() : null;
 
     // Process each email
+    // Messages the provider found but couldn't read hold back the cursor the same way
+    for (const messageId of new Set(failedIds || [])) {
+        const attempts = previousAttempts.get(messageId) || 0;
+        if (attempts >= MAX_EMAIL_ATTEMPTS) {
+            failedEmails.push({ messageId, attempts });
+        } else {
+            recordFailure({ id: messageId, messageId }, 'Message could not be fetched');
+        }
+    }
+
     for (const email of emails) {
+        // Given up on in an earlier run; kept listed while it is still being fetched
+        const attempts = previousAttempts.get(email.messageId) || 0;
+        if (attempts >= MAX_EMAIL_ATTEMPTS) {
+            failedEmails.push({ messageId: email.messageId, attempts });
+            continue;
+        }
+
         try {
             const alreadyNotified = await db.isEmailNotified(
                 user.telegramChatId,
@@ -154,51 +236,193 @@ async function processProvider(user, provider) {
 
             if (alreadyNotified) continue;
 
-            const classification = await classifier.classifyEmail(email);
+            // Same message already alerted from another of the user's mailboxes
+            const original = await db.findDuplicateEmail(user.telegramChatId, mailbox._id, email);
+            if (original) {
+                await mergeDuplicate(user, mailbox, email, original);
+                result.duplicatesMerged++;
+                continue;
+            }
+
+            const classification = await classifier.classifyEmail(email, {
+                keywordRules: user.keywordRules,
+                senderRules: user.senderRules,
+                textModel
+            });
             const categoryEnabled = user.settings?.categories?.[classification.category] !== false;
 
             if (classification.important && categoryEnabled) {
                 result.importantFound++;
 
-                const sent = await bot.sendEmailNotification(
-                    user.telegramChatId,
-                    email,
-                    classification
-                );
+                const emailDoc = await db.saveEmail(user, mailbox, email, classification);
+
+                const sent = await notifyEmail(user, email, classification, emailDoc);
 
                 if (sent) {
                     result.notificationsSent++;
-                    await db.saveEmail(user, email, classification);
+                    await db.markEmailNotified(emailDoc._id, sent.messageId, sent.threadRootId);
+                } else {
+                    recordFailure(email, 'Alert not delivered');
                 }
             }
         } catch (emailError) {
-            logger.warn('Failed to process email', { emailId: email.id, error: emailError.message });
+            recordFailure(email, emailError.message);
         }
     }
 
-    await db.updateLastChecked(user.telegramChatId, provider);
+    await db.updateLastChecked(user.telegramChatId, mailbox._id, failures === 0 ? syncState : undefined, failedEmails);
 
     return result;
 }
 
 /**
- * Handle provider failure
+ * Send the alert for a saved email
+ * Follow-ups in a thread that already has an alert reply to it, or are folded
+ * into it when the user prefers edits (settings.threadUpdates)
+ * @param {Object} user - User document
+ * @param {Object} email - Fetched email
+ * @param {Object} classification - Classification result
+ * @param {Object} emailDoc - Saved email document
+ * @returns {Promise<Object|null>} { messageId, threadRootId } or null if nothing was delivered
  */
-async function handleProviderFailure(user, provider, errorMessage) {
+async function notifyEmail(user, email, classification, emailDoc) {
+    const chatId = user.telegramChatId;
+    const root = await db.getThreadRoot(emailDoc);
+
+    if (!root) {
+        const messageId = await bot.sendEmailNotification(chatId, email, classification, emailDoc._id);
+        return messageId ? { messageId, threadRootId: null } : null;
+    }
+
+    const updatedRoot = await db.addThreadUpdate(root._id, emailDoc);
+
+    if (user.settings?.threadUpdates === 'edit') {
+        const messageId = await bot.updateAlert(chatId, updatedRoot, emailDoc);
+        if (messageId) return { messageId, threadRootId: root._id };
+
+        // The first alert was deleted or can't be edited; this one starts the thread over
+        const sentId = await bot.sendEmailNotification(chatId, email, classification, emailDoc._id);
+        return sentId ? { messageId: sentId, threadRootId: null } : null;
+    }
+
+    const messageId = await bot.sendEmailNotification(chatId, email, classification, emailDoc._id, root.telegramMessageId);
+    return messageId ? { messageId, threadRootId: root._id } : null;
+}
+
+/**
+ * Record a copy of an already alerted email instead of alerting it again
+ * The copy keeps the original's classification; the original's alert is
+ * edited to name the other mailbox when it is a standalone/thread-first alert
+ * @param {Object} user - User document
+ * @param {Object} mailbox - Mailbox the copy was fetched from
+ * @param {Object} email - Fetched copy
+ * @param {Object} original - Original email document
+ */
+async function mergeDuplicate(user, mailbox, email, original) {
+    const emailDoc = await db.saveEmail(user, mailbox, email, original.classification);
+    const updated = await db.recordDuplicate(original, emailDoc, mailbox);
+
+    logger.info('Duplicate email merged', { chatId: user.telegramChatId, provider: mailbox.provider, originalId: original._id });
+
+    // Follow-ups folded into a thread alert don't have one of their own
+    if (updated && !updated.threadRootId && updated.telegramMessageId) {
+        await bot.updateAlert(user.telegramChatId, updated);
+    }
+}
+
+/**
+ * Process a single mailbox after a push notification
+ * Reloads the user so a run queued behind another starts from the latest sync cursor
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} mailboxId - Mailbox ID
+ * @param {Function} [isSynced] - Returns true when the stored sync state already covers the push
+ */
+async function processPushedMailbox(chatId, mailboxId, isSynced = () => false) {
+    return runExclusive(mailboxId, async () => {
+        const user = await db.getUserByChatId(chatId);
+        const mailbox = db.getMailbox(user, mailboxId);
+
+        if (!user?.isActive || !mailbox?.enabled) return null;
+        if (!user.settings?.notificationsEnabled) return null;
+        if (isSynced(mailbox.syncState)) return null;
+
+        try {
+            return await processProvider(user, mailbox);
+        } catch (error) {
+            await handleProviderFailure(user, mailbox, error);
+            return null;
+        }
+    });
+}
+
+/**
+ * Register or renew push delivery for a mailbox (best effort)
+ * @param {Object} user - User document
+ * @param {Object} mailbox - Mailbox sub-document
+ * @param {boolean} [force] - Renew even if the current registration is still fresh
+ */
+async function renewPush(user, mailbox, force = false) {
+    const adapter = providers.getProvider(mailbox.provider);
+    if (!adapter?.watchMailbox) return;
+
+    const expiresAt = mailbox.push?.expiresAt ? new Date(mailbox.push.expiresAt).getTime() : 0;
+    if (!force && expiresAt - Date.now() > PUSH_RENEW_BEFORE_MS) return;
+
     try {
-        await db.recordProviderError(user.telegramChatId, provider, errorMessage);
+        const watched = await adapter.watchMailbox(db.getMailboxCredentials(mailbox), mailbox.push, db.getMailboxFolders(mailbox));
+        if (!watched) return;
 
-        const canAlert = await db.canSendFailureAlert(user.telegramChatId, provider);
+        const { push, credentials: rotated } = watched;
+        if (rotated) {
+            await db.updateMailboxCredentials(user.telegramChatId, mailbox._id, rotated);
+            Object.assign(mailbox, rotated);
+        }
+
+        await db.updatePushState(user.telegramChatId, mailbox._id, push);
+        logger.info('Push registration renewed', { chatId: user.telegramChatId, provider: mailbox.provider, expiresAt: push.expiresAt });
+    } catch (error) {
+        logger.warn('Failed to renew push registration', { chatId: user.telegramChatId, provider: mailbox.provider, error: error.message });
+    }
+}
+
+/**
+ * Handle provider failure for a mailbox
+ * Revoked access disables the mailbox and asks once for a reconnect, transient
+ * errors are left for the next run, anything else gets a rate-limited alert
+ * @returns {Promise<string>} Error category
+ */
+async function handleProviderFailure(user, mailbox, error) {
+    const category = classifyProviderError(error);
+    const errorMessage = error.message;
+
+    logger.warn('Mailbox check failed', { chatId: user.telegramChatId, provider: mailbox.provider, category, error: errorMessage });
+
+    try {
+        await db.recordMailboxError(user.telegramChatId, mailbox._id, errorMessage, category);
+
+        if (category === ERROR_CATEGORIES.AUTH_REVOKED) {
+            const disabled = await db.disableMailbox(user.telegramChatId, mailbox._id);
+            if (disabled) {
+                await bot.sendReconnectPrompt(user.telegramChatId, mailbox);
+            }
+            return category;
+        }
+
+        if (isTransient(category)) return category;
+
+        const canAlert = await db.canSendFailureAlert(user.telegramChatId, mailbox._id);
 
         if (canAlert) {
-            const sent = await bot.sendFailureAlert(user.telegramChatId, provider, errorMessage);
+            const sent = await bot.sendFailureAlert(user.telegramChatId, mailbox, errorMessage);
             if (sent) {
-                await db.recordFailureAlert(user.telegramChatId, provider);
+                await db.recordFailureAlert(user.telegramChatId, mailbox._id);
             }
         }
-    } catch (error) {
-        logger.error('Failed to handle provider failure', { error: error.message });
+    } catch (err) {
+        logger.error('Failed to handle provider failure', { error: err.message });
     }
+
+    return category;
 }
 
 // ==================== ROUTES ====================
@@ -239,6 +463,110 @@ app.post('/webhook/telegram', async (req, res) => {
     }
 });
 
+/**
+ * Gmail push - receives Pub/Sub push messages for watched mailboxes
+ * Requires GMAIL_PUSH_TOKEN in the query; without it configured every push is refused
+ * Acknowledged (2xx) only after the mailbox has been processed; Pub/Sub retries otherwise
+ */
+app.post('/webhook/gmail', async (req, res) => {
+    if (!isValidPushToken(process.env.GMAIL_PUSH_TOKEN, req.query.token)) {
+        return res.sendStatus(403);
+    }
+
+    const adapter = providers.getProvider('gmail');
+    const notification = adapter.parsePushNotification(req.body);
+    if (!notification) {
+        return res.status(400).json({ error: 'Invalid push payload' });
+    }
+
+    try {
+        await ensureInitialized();
+
+        const owners = await db.findMailboxOwners('gmail', notification.address);
+        if (owners.length === 0) {
+            logger.debug('Gmail push for unknown mailbox', { address: notification.address });
+        }
+
+        for (const { user, mailbox } of owners) {
+            await processPushedMailbox(
+                user.telegramChatId,
+                mailbox._id,
+                syncState => adapter.isPushSynced(syncState, notification.historyId)
+            );
+        }
+
+        res.sendStatus(204);
+    } catch (error) {
+        logger.error('Gmail push failed', { error: error.message });
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Check a push endpoint's ?token= against the configured secret
+ * @param {string|undefined} expected - Configured token (unset = refuse everything)
+ * @param {*} received - Query value
+ * @returns {boolean}
+ */
+function isValidPushToken(expected, received) {
+    if (!expected || typeof received !== 'string') return false;
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Outlook push - receives Microsoft Graph change notifications
+ * Answered as soon as the notifications are validated (Graph expects a reply within a
+ * few seconds and throttles slow endpoints); the mailboxes are processed afterwards.
+ * If that work is cut short, the next /cron/check picks the mail up
+ */
+app.post('/webhook/outlook', async (req, res) => {
+    // Subscription validation handshake: echo the token back as plain text
+    if (req.query.validationToken) {
+        return res.type('text/plain').send(req.query.validationToken);
+    }
+
+    const adapter = providers.getProvider('outlook');
+    const notifications = adapter.parsePushNotifications(req.body);
+
+    // Inbox and Junk can notify together; process each mailbox once
+    const owners = new Map();
+
+    try {
+        await ensureInitialized();
+
+        for (const notification of notifications) {
+            const owner = await db.findMailboxBySubscription(notification.subscriptionId);
+            if (!owner) {
+                logger.debug('Outlook push for unknown subscription', { subscriptionId: notification.subscriptionId });
+                continue;
+            }
+
+            if (!adapter.isValidClientState(owner.mailbox.push, notification.clientState)) {
+                logger.warn('Outlook push with invalid clientState', { subscriptionId: notification.subscriptionId });
+                continue;
+            }
+
+            owners.set(owner.mailbox._id.toString(), owner);
+        }
+    } catch (error) {
+        logger.error('Outlook push failed', { error: error.message });
+        return res.sendStatus(500);
+    }
+
+    res.sendStatus(202);
+
+    for (const owner of owners.values()) {
+        try {
+            await processPushedMailbox(owner.user.telegramChatId, owner.mailbox._id);
+        } catch (error) {
+            logger.error('Outlook push processing failed', { mailboxId: owner.mailbox._id, error: error.message });
+        }
+    }
+});
+
 /**
  * Setup webhook - call this once after deployment
  */
@@ -304,7 +632,10 @@ app.get('/cron/check', async (req, res) => {
         emailsScanned: 0,
         importantFound: 0,
         notificationsSent: 0,
+        duplicatesMerged: 0,
         failures: 0,
+        truncatedMailboxes: 0,
+        errorCategories: {},
         userResults: []
     };
 
@@ -322,7 +653,12 @@ app.get('/cron/check', async (req, res) => {
                 summary.emailsScanned += userResult.emailsScanned;
                 summary.importantFound += userResult.importantFound;
                 summary.notificationsSent += userResult.notificationsSent;
+                summary.duplicatesMerged += userResult.duplicatesMerged;
                 summary.failures += userResult.errors.length;
+                userResult.errors.forEach(({ category }) => {
+                    summary.errorCategories[category] = (summary.errorCategories[category] || 0) + 1;
+                });
+                summary.truncatedMailboxes += userResult.truncated.length;
 
                 summary.userResults.push({
                     chatId: userResult.chatId,
@@ -330,6 +666,8 @@ app.get('/cron/check', async (req, res) => {
                     emailsScanned: userResult.emailsScanned,
                     importantFound: userResult.importantFound,
                     notificationsSent: userResult.notificationsSent,
+                    duplicatesMerged: userResult.duplicatesMerged,
+                    truncated: userResult.truncated,
                     errors: userResult.errors
                 });
             } catch (userError) {
@@ -351,94 +689,123 @@ app.get('/cron/check', async (req, res) => {
 
 // ==================== OAUTH ROUTES ====================
 
-app.get('/oauth/gmail/start', async (req, res) => {
-    const { state } = req.query;
-    if (!state) return res.status(400).send('Missing state parameter');
+/**
+ * Resolve OAuth adapter from route param, or send 404
+ */
+function getOAuthProvider(req, res) {
+    const adapter = providers.getProvider(req.params.provider);
+    if (!adapter || adapter.authType !== 'oauth') {
+        res.status(404).send('Unknown provider');
+        return null;
+    }
+    return adapter;
+}
 
-    const authUrl = gmail.getAuthUrl(state);
-    res.redirect(authUrl);
-});
+/**
+ * Check that an OAuth state was issued for this provider and hasn't expired
+ */
+function isOAuthStateValid(session, provider) {
+    return !!session
+        && session.oauthProvider === provider
+        && !!session.oauthCodeVerifier
+        && session.oauthStateExpiresAt?.getTime() > Date.now();
+}
 
-app.get('/oauth/gmail/callback', async (req, res) => {
-    const { code, state, error } = req.query;
+app.get('/oauth/:provider/start', async (req, res) => {
+    const adapter = getOAuthProvider(req, res);
+    if (!adapter) return;
 
-    if (error) return res.send(renderOAuthResult(false, 'gmail', error));
-    if (!code || !state) return res.status(400).send('Missing code or state');
+    const { state } = req.query;
+    if (!state) return res.status(400).send('Missing state parameter');
 
     try {
         await ensureInitialized();
 
         const session = await db.getSessionByOAuthState(state);
-        if (!session) return res.status(400).send('Invalid or expired state');
-
-        const tokens = await gmail.exchangeCodeForTokens(code);
-        if (!tokens.refreshToken) {
-            return res.send(renderOAuthResult(false, 'gmail', 'No refresh token received'));
+        if (!isOAuthStateValid(session, adapter.id)) {
+            return res.send(renderOAuthResult(false, adapter.id, OAUTH_LINK_EXPIRED));
         }
 
-        await db.updateProviderCredentials(session.telegramChatId, 'gmail', {
-            refreshToken: tokens.refreshToken,
-            email: tokens.email
-        });
-
-        await bot.handleOAuthSuccess(session.telegramChatId, 'gmail', tokens.email);
-        await db.updateSession(session.telegramChatId, { oauthState: null });
-
-        res.send(renderOAuthResult(true, 'gmail', null, tokens.email));
+        const authUrl = adapter.getAuthUrl(state, createCodeChallenge(session.oauthCodeVerifier));
+        res.redirect(authUrl);
     } catch (err) {
-        logger.error('Gmail OAuth failed', { error: err.message });
-        res.send(renderOAuthResult(false, 'gmail', err.message));
+        logger.error(`${adapter.displayName} OAuth start failed`, { error: err.message });
+        res.send(renderOAuthResult(false, adapter.id, err.message));
     }
 });
 
-app.get('/oauth/outlook/start', async (req, res) => {
-    const { state } = req.query;
-    if (!state) return res.status(400).send('Missing state parameter');
-
-    const authUrl = outlook.getAuthUrl(state);
-    res.redirect(authUrl);
-});
+app.get('/oauth/:provider/callback', async (req, res) => {
+    const adapter = getOAuthProvider(req, res);
+    if (!adapter) return;
 
-app.get('/oauth/outlook/callback', async (req, res) => {
+    const provider = adapter.id;
     const { code, state, error, error_description } = req.query;
 
-    if (error) return res.send(renderOAuthResult(false, 'outlook', error_description || error));
+    if (error) return res.send(renderOAuthResult(false, provider, error_description || error));
     if (!code || !state) return res.status(400).send('Missing code or state');
 
     try {
         await ensureInitialized();
 
-        const session = await db.getSessionByOAuthState(state);
-        if (!session) return res.status(400).send('Invalid or expired state');
+        // Single use: the state is cleared whether or not the exchange succeeds
+        const session = await db.consumeOAuthState(state);
+        if (!isOAuthStateValid(session, provider)) {
+            return res.send(renderOAuthResult(false, provider, OAUTH_LINK_EXPIRED));
+        }
 
-        const tokens = await outlook.exchangeCodeForTokens(code);
+        const tokens = await adapter.exchangeCodeForTokens(code, session.oauthCodeVerifier);
         if (!tokens.refreshToken) {
-            return res.send(renderOAuthResult(false, 'outlook', 'No refresh token received'));
+            return res.send(renderOAuthResult(false, provider, 'No refresh token received'));
         }
 
-        await db.updateProviderCredentials(session.telegramChatId, 'outlook', {
+        const user = await db.upsertMailbox(session.telegramChatId, provider, {
             refreshToken: tokens.refreshToken,
             email: tokens.email
         });
 
-        await bot.handleOAuthSuccess(session.telegramChatId, 'outlook', tokens.email);
-        await db.updateSession(session.telegramChatId, { oauthState: null });
+        // Start push delivery right away instead of waiting for the next cron run
+        const mailbox = user?.mailboxes.find(m => m.provider === provider && m.address === (tokens.email ? tokens.email.toLowerCase() : null));
+        if (mailbox) {
+            await renewPush(user, mailbox, true);
+        }
+
+        await bot.handleOAuthSuccess(session.telegramChatId, provider, tokens.email);
 
-        res.send(renderOAuthResult(true, 'outlook', null, tokens.email));
+        res.send(renderOAuthResult(true, provider, null, tokens.email));
     } catch (err) {
-        logger.error('Outlook OAuth failed', { error: err.message });
-        res.send(renderOAuthResult(false, 'outlook', err.message));
+        logger.error(`${adapter.displayName} OAuth failed`, { error: err.message });
+        res.send(renderOAuthResult(false, provider, err.message));
     }
 });
 
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Render OAuth result page
  */
 function renderOAuthResult(success, provider, error = null, email = null) {
-    const providerName = provider === 'gmail' ? 'Gmail' : 'Outlook';
-    const emoji = success ? '✅' : '❌';
-    const title = success ? 'Connection Successful!' : 'Connection Failed';
-    const color = success ? '#22c55e' : '#ef4444';
+    const providerName = escapeHtml(providers.getDisplayName(provider));
+    const expired = error === OAUTH_LINK_EXPIRED;
+    const emoji = success ? '✅' : (expired ? '⌛' : '❌');
+    const title = success ? 'Connection Successful!' : (expired ? 'Link Expired' : 'Connection Failed');
+    const color = success ? '#22c55e' : (expired ? '#f59e0b' : '#ef4444');
+
+    let message = 'Something went wrong. Please return to Telegram and try again.';
+    if (success) {
+        message = 'Your account has been connected successfully. You can now close this window and return to Telegram.';
+    } else if (expired) {
+        message = 'This link has expired or was already used. Return to Telegram and tap /add to get a new one.';
+    }
 
     return `
 <!DOCTYPE html>
@@ -495,13 +862,9 @@ function renderOAuthResult(success, provider, error = null, email = null) {
     <div class="emoji">${emoji}</div>
     <h1>${title}</h1>
     <p class="provider">${providerName}</p>
-    ${email ? `<div class="email">📧 ${email}</div>` : ''}
-    ${error ? `<div class="error">⚠️ ${error}</div>` : ''}
-    <p class="message">
-      ${success
-            ? 'Your account has been connected successfully. You can now close this window and return to Telegram.'
-            : 'Something went wrong. Please return to Telegram and try again.'}
-    </p>
+    ${email ? `<div class="email">📧 ${escapeHtml(email)}</div>` : ''}
+    ${error && !expired ? `<div class="error">⚠️ ${escapeHtml(error)}</div>` : ''}
+    <p class="message">${message}</p>
     <p class="close-hint">You can close this window now</p>
   </div>
 </body>
@@ -0,0 +1,51 @@
+/**
+ * Email Fingerprints
+ * Keys for spotting the same message delivered to several of a user's mailboxes
+ * (e.g. a college list sending to both a Gmail and an Outlook address)
+ */
+
+const crypto = require('crypto');
+
+// How far apart two copies without a shared Message-ID may arrive
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Normalize an RFC 5322 Message-ID header
+ * @param {string|null} value - Header value, with or without angle brackets
+ * @returns {string|null}
+ */
+function normalizeMessageId(value) {
+  const id = (value || '').trim().replace(/^<|>$/g, '').trim();
+  return id || null;
+}
+
+/**
+ * Get the bare address from a From header
+ * @param {string} from - e.g. "Placement Cell <tpo@college.edu>"
+ * @returns {string}
+ */
+function getSenderAddress(from) {
+  const match = (from || '').match(/<([^>]+)>/);
+  return (match ? match[1] : from || '').trim().toLowerCase();
+}
+
+/**
+ * Fingerprint an email by normalized subject and sender address
+ * Copies of one message match; arrival times are compared separately (DUPLICATE_WINDOW_MS)
+ * @param {Object} email - Email with subject and from
+ * @returns {string} Hex digest
+ */
+function getEmailFingerprint(email) {
+  const subject = (email.subject || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto
+    .createHash('sha256')
+    .update(`${subject}\n${getSenderAddress(email.from)}`)
+    .digest('hex');
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_MS,
+  normalizeMessageId,
+  getSenderAddress,
+  getEmailFingerprint
+};
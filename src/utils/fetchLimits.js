@@ -0,0 +1,34 @@
+/**
+ * Fetch Limits
+ * Page size and per-run ceiling shared by all provider adapters
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_MAX_MESSAGES = 200;
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Get fetch limits
+ * @returns {Object} { pageSize, maxMessages } - maxMessages applies per folder per run
+ */
+function getFetchLimits() {
+  const maxMessages = readPositiveInt('FETCH_MAX_MESSAGES', DEFAULT_MAX_MESSAGES);
+  return {
+    pageSize: Math.min(readPositiveInt('FETCH_PAGE_SIZE', DEFAULT_PAGE_SIZE), maxMessages),
+    maxMessages
+  };
+}
+
+module.exports = {
+  getFetchLimits
+};
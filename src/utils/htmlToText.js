@@ -0,0 +1,145 @@
+/**
+ * HTML to Text
+ * Normalizes HTML email bodies into readable text for the notification and
+ * classifier, and keeps the message's hyperlinks (test and interview links
+ * are often only in an anchor's href)
+ */
+
+// Elements whose content is never shown to the reader
+const NON_CONTENT_PATTERN = /<(script|style|head|title|noscript|template|svg|object)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Elements that start on a new line when rendered
+const BLOCK_TAG_PATTERN = /<\/?(p|div|h[1-6]|ul|ol|table|thead|tbody|tfoot|tr|blockquote|pre|section|article|header|footer|nav|aside|center|address|dl|dt|dd|form|fieldset|hr)\b[^>]*>/gi;
+
+const ANCHOR_PATTERN = /<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+const HREF_PATTERN = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+
+// Bare URLs in plain-text bodies
+const PLAIN_URL_PATTERN = /\bhttps?:\/\/[^\s<>"'()[\]]+/gi;
+
+// Links kept per message
+const MAX_LINKS = 20;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  ensp: ' ', emsp: ' ', thinsp: ' ', zwnj: '', zwj: '', shy: '',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶'
+};
+
+/**
+ * Decode HTML entities (named, decimal and hex)
+ * Unknown named entities are left as they are
+ * @param {string} text - Text with entities
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        // Out of range code point
+        return match;
+      }
+    }
+
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+/**
+ * Tidy whitespace while keeping line breaks (at most one blank line in a row)
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Check whether a URL is worth keeping (web links only)
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isWebLink(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+/**
+ * Add a link unless it is already listed or the list is full
+ * @param {Array<Object>} links - Links so far
+ * @param {string} url - URL
+ * @param {string} text - Anchor text
+ */
+function addLink(links, url, text) {
+  if (links.length >= MAX_LINKS || !isWebLink(url) || links.some(link => link.url === url)) return;
+  links.push({ url, text: text || url });
+}
+
+/**
+ * Convert an HTML body to text and collect its hyperlinks
+ * @param {string} html - HTML body
+ * @returns {Object} { text, links: [{ url, text }] }
+ */
+function htmlToText(html) {
+  if (!html) return { text: '', links: [] };
+
+  const links = [];
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(NON_CONTENT_PATTERN, '');
+
+  text = text.replace(ANCHOR_PATTERN, (match, attributes, inner) => {
+    const href = attributes.match(HREF_PATTERN);
+    const url = href ? decodeEntities((href[1] ?? href[2] ?? href[3]).trim()) : '';
+    const label = normalizeWhitespace(decodeEntities(inner.replace(/<[^>]*>/g, ' '))).replace(/\n/g, ' ');
+
+    addLink(links, url, label);
+    return inner;
+  });
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/t[dh]\s*>/gi, ' ')
+    .replace(BLOCK_TAG_PATTERN, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return { text: normalizeWhitespace(decodeEntities(text)), links };
+}
+
+/**
+ * Collect bare URLs from a plain-text body
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} [{ url, text }]
+ */
+function extractPlainLinks(text) {
+  const links = [];
+
+  for (const match of (text || '').matchAll(PLAIN_URL_PATTERN)) {
+    // Trailing punctuation belongs to the sentence, not the URL
+    addLink(links, match[0].replace(/[.,;:!?]+$/, ''), null);
+  }
+
+  return links;
+}
+
+module.exports = {
+  htmlToText,
+  extractPlainLinks
+};
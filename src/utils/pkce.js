@@ -0,0 +1,28 @@
+/**
+ * PKCE Helpers
+ * Proof Key for Code Exchange (RFC 7636) for the OAuth connect flow
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a random code verifier
+ * @returns {string} 43-character base64url string
+ */
+function createCodeVerifier() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Derive the S256 code challenge sent with the authorization request
+ * @param {string} codeVerifier - Code verifier
+ * @returns {string} base64url SHA-256 of the verifier
+ */
+function createCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+module.exports = {
+  createCodeVerifier,
+  createCodeChallenge
+};
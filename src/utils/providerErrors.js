@@ -0,0 +1,118 @@
+/**
+ * Provider Error Classification
+ * Sorts fetch failures into categories so revoked access can be told apart
+ * from errors that go away on their own
+ */
+
+const ERROR_CATEGORIES = {
+  AUTH_REVOKED: 'auth_revoked',
+  RATE_LIMITED: 'rate_limited',
+  NETWORK: 'network',
+  UNKNOWN: 'unknown'
+};
+
+// OAuth error codes / AADSTS codes meaning the grant will never work again
+const AUTH_REVOKED_PATTERN = /invalid_grant|AADSTS70000\b|AADSTS700082\b/i;
+
+// Provider error reasons for quota and throttling
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded', 'ApplicationThrottled', 'MailboxConcurrency'];
+
+// Socket-level error codes
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'NoConnection'];
+
+// Transient-error retries within a single run
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 10000;
+
+/**
+ * Collect the text a provider error may carry its reason in
+ * @param {Error} error - Axios, googleapis or imapflow error
+ * @returns {string}
+ */
+function getErrorText(error) {
+  const data = error?.response?.data;
+  const parts = [error?.message];
+
+  if (typeof data === 'string') {
+    parts.push(data);
+  } else if (data) {
+    parts.push(data.error, data.error_description, data.error?.code, data.error?.message);
+    (data.error?.errors || []).forEach(item => parts.push(item.reason));
+  }
+
+  return parts.filter(part => typeof part === 'string').join(' ');
+}
+
+/**
+ * Classify a provider error
+ * @param {Error} error - Error thrown while fetching a mailbox
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+function classifyProviderError(error) {
+  const status = error?.response?.status || error?.status || (typeof error?.code === 'number' ? error.code : null);
+  const text = getErrorText(error);
+
+  // IMAP servers reject the login itself
+  if (AUTH_REVOKED_PATTERN.test(text) || error?.authenticationFailed) {
+    return ERROR_CATEGORIES.AUTH_REVOKED;
+  }
+
+  if (status === 429 || RATE_LIMIT_REASONS.some(reason => text.includes(reason))) {
+    return ERROR_CATEGORIES.RATE_LIMITED;
+  }
+
+  if (NETWORK_CODES.includes(error?.code) || (status >= 500 && status < 600)) {
+    return ERROR_CATEGORIES.NETWORK;
+  }
+
+  return ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * Check whether an error category is expected to clear up by itself
+ * @param {string} category - One of ERROR_CATEGORIES
+ * @returns {boolean}
+ */
+function isTransient(category) {
+  return category === ERROR_CATEGORIES.RATE_LIMITED || category === ERROR_CATEGORIES.NETWORK;
+}
+
+/**
+ * Read a Retry-After header (seconds) from an HTTP error
+ * @param {Error} error - Error
+ * @returns {number|null} Delay in ms
+ */
+function getRetryAfterMs(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  const seconds = parseInt(header, 10);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Run a task, retrying transient provider errors with backoff
+ * Auth and unknown errors are thrown straight away
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Task result
+ */
+async function retryTransient(task) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= RETRY_ATTEMPTS || !isTransient(classifyProviderError(error))) {
+        throw error;
+      }
+
+      const delay = Math.min(getRetryAfterMs(error) ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  classifyProviderError,
+  isTransient,
+  retryTransient
+};
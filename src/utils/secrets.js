@@ -0,0 +1,216 @@
+/**
+ * Secret Encryption
+ * Envelope encryption for credentials stored in MongoDB (refresh tokens, IMAP passwords)
+ *
+ * Each value gets its own random data key. The data key is wrapped with a key
+ * derived from TOKEN_ENCRYPTION_KEY, and the key id is stored with the value:
+ *   enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+ * Both parts are base64 of iv (12 bytes) + auth tag (16 bytes) + AES-256-GCM output.
+ * Rotating the key only re-wraps data keys; the encrypted values stay the same.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const DEFAULT_KEY_ID = 'k1';
+
+// Key ids are stored inside the ':'-separated value, so they can't contain ':'
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Derive a 256-bit key from an env secret
+ * @param {string} secret - Secret from the environment
+ * @returns {Buffer}
+ */
+function deriveKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, 'mail-cron', 'token-encryption', KEY_LENGTH));
+}
+
+/**
+ * Check a configured key id
+ * @param {string} keyId - Key id
+ * @param {string} source - Env variable it came from (for the error)
+ * @throws {Error} When the id has characters other than letters, digits, '_' and '-'
+ */
+function validateKeyId(keyId, source) {
+  if (!KEY_ID_PATTERN.test(keyId)) {
+    throw new Error(`Invalid key id "${keyId}" in ${source}: use only letters, digits, "_" and "-"`);
+  }
+}
+
+/**
+ * Read configured keys
+ * TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_KEY_ID is the current key; retired keys
+ * stay readable through TOKEN_ENCRYPTION_OLD_KEYS ("id:secret,id:secret")
+ * @returns {Object} { currentKeyId, keys: Map<keyId, Buffer> }
+ * @throws {Error} When a key id is invalid or an old key entry has no secret
+ */
+function getKeyring() {
+  const keys = new Map();
+
+  for (const entry of (process.env.TOKEN_ENCRYPTION_OLD_KEYS || '').split(',')) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, Math.max(separator, 0)).trim();
+    const secret = separator > 0 ? entry.slice(separator + 1).trim() : '';
+    if (!secret) {
+      throw new Error('Malformed TOKEN_ENCRYPTION_OLD_KEYS entry: expected "id:secret"');
+    }
+    validateKeyId(keyId, 'TOKEN_ENCRYPTION_OLD_KEYS');
+    keys.set(keyId, deriveKey(secret));
+  }
+
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  const currentKeyId = secret ? (process.env.TOKEN_ENCRYPTION_KEY_ID || DEFAULT_KEY_ID) : null;
+  if (secret) {
+    validateKeyId(currentKeyId, 'TOKEN_ENCRYPTION_KEY_ID');
+    keys.set(currentKeyId, deriveKey(secret));
+  }
+
+  return { currentKeyId, keys };
+}
+
+/**
+ * Check whether new secrets are encrypted (a key is configured)
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+  return !!process.env.TOKEN_ENCRYPTION_KEY;
+}
+
+/**
+ * Get the id of the key new secrets are wrapped with
+ * @returns {string|null}
+ */
+function getCurrentKeyId() {
+  return getKeyring().currentKeyId;
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * AES-256-GCM encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data
+ * @returns {string} base64(iv + tag + ciphertext)
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * AES-256-GCM decrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {string} sealed - base64(iv + tag + ciphertext)
+ * @returns {Buffer} Data
+ */
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Split a stored value into its parts
+ * @param {string} value - Encrypted value
+ * @returns {Object} { keyId, wrappedKey, ciphertext }
+ */
+function parse(value) {
+  const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+  if (!keyId || !wrappedKey || !ciphertext) {
+    throw new Error('Malformed encrypted value');
+  }
+  return { keyId, wrappedKey, ciphertext };
+}
+
+/**
+ * Look up a key by id
+ * @param {Map} keys - Keyring keys
+ * @param {string} keyId - Key id
+ * @returns {Buffer}
+ */
+function requireKey(keys, keyId) {
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+  return key;
+}
+
+/**
+ * Encrypt a secret with the current key
+ * Values are returned unchanged when no key is configured, or already encrypted
+ * @param {string|null} plaintext - Secret
+ * @returns {string|null} Stored value
+ */
+function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) return plaintext;
+
+  const { currentKeyId, keys } = getKeyring();
+  if (!currentKeyId) return plaintext;
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const wrappedKey = seal(keys.get(currentKeyId), dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(String(plaintext), 'utf-8'));
+
+  return `${PREFIX}${currentKeyId}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decrypt a stored secret
+ * Plaintext (not yet migrated) values are returned unchanged
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Secret
+ */
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const { keyId, wrappedKey, ciphertext } = parse(value);
+  const dataKey = open(requireKey(getKeyring().keys, keyId), wrappedKey);
+
+  return open(dataKey, ciphertext).toString('utf-8');
+}
+
+/**
+ * Re-wrap a stored secret's data key with the current key
+ * Plaintext values are encrypted; values already on the current key are returned unchanged
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Stored value
+ */
+function rewrapSecret(value) {
+  if (!isEncrypted(value)) return encryptSecret(value);
+
+  const { currentKeyId, keys } = getKeyring();
+  const { keyId, wrappedKey, ciphertext } = parse(value);
+  if (!currentKeyId || keyId === currentKeyId) return value;
+
+  const dataKey = open(requireKey(keys, keyId), wrappedKey);
+
+  return `${PREFIX}${currentKeyId}:${seal(keys.get(currentKeyId), dataKey)}:${ciphertext}`;
+}
+
+module.exports = {
+  ENCRYPTED_PREFIX: PREFIX,
+  isEncryptionEnabled,
+  getCurrentKeyId,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret
+};
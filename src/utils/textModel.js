@@ -0,0 +1,174 @@
+/**
+ * Text Model
+ * Offline multinomial naive-Bayes classifier trained from stored emails and
+ * alert feedback (npm run train-model). Runs without network or API keys,
+ * between keyword scoring and AI
+ */
+
+// Model format version, bumped when tokenization changes
+const MODEL_VERSION = 1;
+
+// Tokens kept in the vocabulary (most widespread first); keeps the stored model small
+const MAX_VOCABULARY = 5000;
+
+// Tokens must appear in this many training emails to be kept
+const MIN_TOKEN_DOCUMENTS = 2;
+
+// Body text used per email
+const MAX_BODY_CHARS = 2000;
+
+// Only alerted emails are stored, so "not important" examples come from 👎 feedback alone.
+// Below this share of the training set the model would call nearly everything important
+const NEGATIVE_CATEGORY = 'OTHER';
+const MIN_NEGATIVE_SHARE = 0.2;
+
+const TOKEN_PATTERN = /[a-z][a-z0-9]{1,24}/g;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'are', 'this', 'that', 'with', 'from', 'have', 'has',
+  'will', 'be', 'to', 'of', 'in', 'on', 'at', 'is', 'it', 'as', 'or', 'an', 'by', 'we',
+  'our', 'us', 'all', 'any', 'can', 'if', 'not', 'was', 'were', 'please', 'dear', 'regards',
+  'hi', 'hello', 'thanks', 'thank', 'http', 'https', 'www', 'com'
+]);
+
+/**
+ * Split an email into the tokens the model scores
+ * Words from the subject, preview, body and links, plus the sender's domain
+ * @param {Object} email - Email with subject, snippet, body, from, links
+ * @returns {Array<string>} Unique tokens
+ */
+function tokenize(email) {
+  const linkText = (email.links || []).map(link => `${link.text} ${link.url}`).join(' ');
+  const text = `${email.subject || ''} ${email.snippet || ''} ${(email.body || '').slice(0, MAX_BODY_CHARS)} ${linkText}`.toLowerCase();
+
+  const tokens = new Set();
+  for (const token of text.match(TOKEN_PATTERN) || []) {
+    if (!STOPWORDS.has(token)) tokens.add(token);
+  }
+
+  // Stored as object keys in MongoDB, so no dots
+  const domain = (email.from || '').toLowerCase().match(/@([a-z0-9.-]+)/);
+  if (domain) tokens.add(`from_${domain[1].replace(/\./g, '_')}`);
+
+  return [...tokens];
+}
+
+/**
+ * Count of a token in one class of a (possibly stored) model
+ * Stored models come back from MongoDB as plain objects, so only own keys count
+ * @param {Object} entry - Class entry ({ counts })
+ * @param {string} token - Token
+ * @returns {number}
+ */
+function getTokenCount(entry, token) {
+  return Object.hasOwn(entry.counts, token) ? entry.counts[token] : 0;
+}
+
+/**
+ * Check that enough training emails were "not important" for the model to be trusted
+ * @param {Object} categories - Training emails per category ({ [category]: count })
+ * @returns {boolean}
+ */
+function hasEnoughNegatives(categories) {
+  const total = Object.values(categories).reduce((sum, count) => sum + count, 0);
+  return total > 0 && (categories[NEGATIVE_CATEGORY] || 0) / total >= MIN_NEGATIVE_SHARE;
+}
+
+/**
+ * Train a model from labelled emails
+ * @param {Array<Object>} examples - [{ email, category }]
+ * @returns {Object} Model ({ version, classes, vocabularySize, documentCount })
+ */
+function trainModel(examples) {
+  const tokenDocuments = new Map();
+  const tokenized = examples.map(({ email, category }) => {
+    const tokens = tokenize(email);
+    for (const token of tokens) {
+      tokenDocuments.set(token, (tokenDocuments.get(token) || 0) + 1);
+    }
+    return { tokens, category };
+  });
+
+  const vocabulary = new Set(
+    [...tokenDocuments.entries()]
+      .filter(([, documents]) => documents >= MIN_TOKEN_DOCUMENTS)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_VOCABULARY)
+      .map(([token]) => token)
+  );
+
+  // Prototype-less, so tokens like "constructor" don't read inherited properties
+  const classes = Object.create(null);
+  for (const { tokens, category } of tokenized) {
+    const entry = classes[category] || (classes[category] = { documents: 0, tokens: 0, counts: Object.create(null) });
+    entry.documents++;
+
+    for (const token of tokens) {
+      if (!vocabulary.has(token)) continue;
+      entry.counts[token] = (entry.counts[token] || 0) + 1;
+      entry.tokens++;
+    }
+  }
+
+  return {
+    version: MODEL_VERSION,
+    classes,
+    vocabularySize: vocabulary.size,
+    documentCount: examples.length
+  };
+}
+
+/**
+ * Predict an email's category
+ * @param {Object} model - Trained model
+ * @param {Object} email - Email object
+ * @returns {Object|null} { category, probability, probabilities }, or null if the model can't be used
+ */
+function predict(model, email) {
+  if (!model || model.version !== MODEL_VERSION) return null;
+
+  const categories = Object.keys(model.classes || {}).filter(category => model.classes[category]?.counts);
+  if (categories.length < 2 || !model.documentCount) return null;
+
+  // Models stored before the negative share was enforced
+  const documents = Object.fromEntries(categories.map(category => [category, model.classes[category].documents]));
+  if (!hasEnoughNegatives(documents)) return null;
+
+  const tokens = tokenize(email);
+  const logScores = {};
+
+  for (const category of categories) {
+    const entry = model.classes[category];
+    let score = Math.log(entry.documents / model.documentCount);
+
+    // Laplace smoothing over the vocabulary; tokens no class has seen are skipped
+    const denominator = entry.tokens + model.vocabularySize;
+    for (const token of tokens) {
+      if (!categories.some(name => getTokenCount(model.classes[name], token) > 0)) continue;
+      score += Math.log((getTokenCount(entry, token) + 1) / denominator);
+    }
+
+    logScores[category] = score;
+  }
+
+  // Softmax over log scores
+  const max = Math.max(...Object.values(logScores));
+  const exponents = Object.fromEntries(categories.map(category => [category, Math.exp(logScores[category] - max)]));
+  const total = Object.values(exponents).reduce((sum, value) => sum + value, 0);
+
+  const probabilities = {};
+  let best = categories[0];
+  for (const category of categories) {
+    probabilities[category] = exponents[category] / total;
+    if (probabilities[category] > probabilities[best]) best = category;
+  }
+
+  return { category: best, probability: probabilities[best], probabilities };
+}
+
+module.exports = {
+  tokenize,
+  hasEnoughNegatives,
+  trainModel,
+  predict
+};